@@ -4,6 +4,13 @@ const createServerAndListen = require("../lib/server")
 const config = require("config")
 const logger = require("../lib/logger")
 const db = require("../lib/db")
+const stream = require("../lib/stream")
+const webhooks = require("../lib/webhooks")
+const trending = require("../lib/trending")
+const rateLimit = require("../lib/rate-limit")
+const loginAttempts = require("../lib/login-attempts")
+const publishing = require("../lib/publishing")
+const permissions = require("../lib/permissions")
 
 const app = require("../lib/app")
 
@@ -16,9 +23,21 @@ async function main() {
     await db.select(db.raw("1"))
     logger.debug("Database connected")
 
+    const admins = await permissions.grantAdmins()
+
+    if (admins) {
+      logger.info(`Made ${admins} user(s) admin from auth.adminEmails`)
+    }
+
     server = await createServerAndListen(app, port, host)
     logger.debug(`Server is listening on: ${host}:${port}`)
 
+    webhooks.start()
+    trending.start()
+    rateLimit.start()
+    loginAttempts.start()
+    publishing.start()
+
     await Promise.race([
       ...["SIGINT", "SIGHUP", "SIGTERM"].map(s =>
         pEvent(process, s, {
@@ -30,8 +49,16 @@ async function main() {
     process.exitCode = 1
     logger.fatal(err)
   } finally {
+    webhooks.stop()
+    trending.stop()
+    rateLimit.stop()
+    loginAttempts.stop()
+    publishing.stop()
+    await trending.flushViews().catch(err => logger.error(err))
+
     if (server) {
       logger.debug("Close server")
+      stream.closeAll()
       await server.stop()
       logger.debug("Server closed")
     }
@@ -2,16 +2,128 @@ const slug = require("slug")
 const uuid = require("uuid")
 const humps = require("humps")
 const _ = require("lodash")
+const config = require("config")
 const comments = require("./comments-controller")
-const { ValidationError } = require("../lib/errors")
+const { ValidationError, isUniqueViolation } = require("../lib/errors")
 const db = require("../lib/db")
-const joinJs = require("join-js").default
-const { getSelect } = require("../lib/utils")
+const search = require("../lib/search")
+const cursor = require("../lib/cursor")
+const revisions = require("./revisions-controller")
 const {
-  articleFields,
-  userFields,
-  relationsMaps,
-} = require("../lib/relations-map")
+  wherePublished,
+  whereUnpublished,
+  getStatus,
+  hydrate,
+  listArticles,
+  renderBody,
+  toRow,
+  parseRow,
+  validateTags,
+  saveTags,
+  recordRevision,
+} = require("../lib/articles")
+const { articleFields } = require("../lib/relations-map")
+const { isStaff } = require("../lib/permissions")
+const { whereNotSilenced, isBlockedBy } = require("../lib/blocks")
+const { notify, types } = require("../lib/notifications")
+const webhooks = require("../lib/webhooks")
+const publishing = require("../lib/publishing")
+const series = require("../lib/series")
+const trending = require("../lib/trending")
+const { findRelated } = require("../lib/related")
+
+/**
+ * Sets `publishAt` according to the requested status. Drafts have none,
+ * scheduled articles need one in the future, and published articles keep
+ * the date they were first published on.
+ *
+ * `fields` are the fields the client sent: a date only has to be in the
+ * future when the client sets it or schedules the article, so a scheduled
+ * article that went live in the meantime can still be saved.
+ */
+function resolvePublishing(ctx, article, fields, current) {
+  const now = new Date()
+
+  if (article.status === "draft") {
+    article.publishAt = null
+  } else if (article.status === "scheduled") {
+    ctx.assert(
+      article.publishAt,
+      422,
+      new ValidationError(
+        ["is required for scheduled articles"],
+        "",
+        "publishAt",
+      ),
+    )
+    ctx.assert(
+      !(fields.status || fields.publishAt) || new Date(article.publishAt) > now,
+      422,
+      new ValidationError(
+        ["must be in the future for scheduled articles"],
+        "",
+        "publishAt",
+      ),
+    )
+  } else {
+    ctx.assert(
+      !fields.publishAt || new Date(fields.publishAt) <= now,
+      422,
+      new ValidationError(
+        ["can't be in the future for published articles"],
+        "",
+        "publishAt",
+      ),
+    )
+
+    article.publishAt =
+      current && current.status === "published"
+        ? new Date(current.publish_at).toISOString()
+        : now.toISOString()
+  }
+}
+
+/**
+ * Tells why each article of a page of the feed is in it: its author is
+ * followed, or it has tags that are followed.
+ *
+ * @param {Object[]} rows - Rows with the `id` and `author` of the articles.
+ * @param {Object} user - The authenticated user.
+ * @returns {Promise<Object>} - The reasons, keyed by article id.
+ */
+async function getFeedReasons(rows, user) {
+  const [authors, tags] = await Promise.all([
+    db("followers")
+      .pluck("user")
+      .where({ follower: user.id })
+      .whereIn("user", _.uniq(rows.map(r => r.author))),
+
+    db("articles_tags")
+      .select("articles_tags.article", "tags.name")
+      .innerJoin("tags", "articles_tags.tag", "tags.id")
+      .innerJoin("tag_follows", "articles_tags.tag", "tag_follows.tag")
+      .where("tag_follows.user", user.id)
+      .whereIn(
+        "articles_tags.article",
+        rows.map(r => r.id),
+      ),
+  ])
+
+  const followed = new Set(authors)
+  const tagsByArticle = _.groupBy(tags, "article")
+
+  return _.fromPairs(
+    rows.map(r => [
+      r.id,
+      followed.has(r.author)
+        ? { type: "author" }
+        : {
+            type: "tag",
+            tags: (tagsByArticle[r.id] || []).map(t => t.name).sort(),
+          },
+    ]),
+  )
+}
 
 module.exports = {
 /**
@@ -25,11 +137,14 @@ module.exports = {
  * 
  * This function performs the following:
  * - Validates and retrieves the article from the database using the provided slug.
+ * - Hides drafts and scheduled articles from everyone but their author.
+ * - Hides articles hidden by moderators from everyone but their author and staff.
  * - Retrieves and attaches the article's tags to the article object.
  * - Sets the favorited status of the article to false initially.
  * - Retrieves and attaches the author's details to the article object.
  * - Sets the author's following status based on the current user's following status.
  * - Checks if the article is favorited by the current user and updates the favorited status.
+ * - Checks if the article is bookmarked by the current user and updates the bookmarked status.
  * - Attaches the article, favorites, author, tag list, and tag relations to the context parameters.
  * - Calls the next middleware function.
  * - Removes the author's id from the context parameters for privacy.
@@ -39,11 +154,22 @@ module.exports = {
     ctx.assert(slug, 404)
 
     const article = await db("articles")
-      .first()
+      .first(...articleFields, "author", "hidden_at")
       .where({ slug })
 
     ctx.assert(article, 404)
 
+    const { user } = ctx.state
+    const isAuthor = Boolean(user) && user.id === article.author
+
+    article.status = getStatus(article)
+    parseRow(article)
+
+    ctx.assert(article.status === "published" || isAuthor, 404)
+    ctx.assert(!article.hidden_at || isAuthor || (user && isStaff(user)), 404)
+
+    delete article.hidden_at
+
     const tagsRelations = await db("articles_tags")
       .select()
       .where({ article: article.id })
@@ -73,8 +199,6 @@ module.exports = {
 
     article.author.following = false
 
-    const { user } = ctx.state
-
     if (user && user.username !== article.author.username) {
       const res = await db("followers")
         .where({ user: article.author.id, follower: user.id })
@@ -97,6 +221,13 @@ module.exports = {
       }
     }
 
+    article.bookmarked = Boolean(
+      user &&
+        (await db("bookmarks")
+          .first("id")
+          .where({ user: user.id, article: article.id })),
+    )
+
     ctx.params.article = article
     ctx.params.favorites = favorites
     ctx.params.author = author
@@ -114,105 +245,29 @@ module.exports = {
    * @param {object} ctx - The Koa context object containing state and query parameters.
    * 
    * This function performs the following:
-   * - Extracts query parameters such as offset, limit, tag, author, and favorited from the context.
-   * - Constructs a database query to select articles along with their associated author, tags, and favorited status.
+   * - Extracts query parameters such as offset, limit, tag, author, favorited and q from the context.
+   * - Selects the ids of one page of articles, so the limit counts articles rather than joined rows.
+   * - Leaves out drafts and articles scheduled for later.
+   * - Leaves out articles by authors the current user has muted or blocked.
    * - Filters articles based on author, favorited, and tag criteria if provided.
-   * - Joins relevant tables to fetch complete article data including author details and tags.
-   * - Maps the retrieved articles using predefined relation maps and formats the data.
+   * - When q is provided, keeps only articles matching its terms, orders them by relevance and adds a highlighted snippet.
+   * - Otherwise pages through the articles newest first, by offset or by the after/before cursors.
+   * - Loads the authors, tags and favorited status of the page's articles.
    * - Calculates the total count of articles matching the criteria.
-   * - Attaches the list of articles and the total count to the context body.
+   * - Attaches the list of articles, the total count and the cursors of the neighbouring pages to the context body.
    */
 
   async get(ctx) {
     const { user } = ctx.state
-    const { offset, limit, tag, author, favorited } = ctx.query
-
-    let articlesQuery = db("articles")
-      .select(
-        ...getSelect("articles", "article", articleFields),
-        ...getSelect("users", "author", userFields),
-        ...getSelect("articles_tags", "tag", ["id"]),
-        ...getSelect("tags", "tag", ["id", "name"]),
-        "favorites.id as article_favorited",
-        "followers.id as author_following",
-      )
-      .limit(limit)
-      .offset(offset)
-      .orderBy("articles.created_at", "desc")
-
-    let countQuery = db("articles").count()
-
-    if (author && author.length > 0) {
-      const subQuery = db("users")
-        .select("id")
-        .whereIn("username", author)
-
-      articlesQuery = articlesQuery.andWhere("articles.author", "in", subQuery)
-      countQuery = countQuery.andWhere("articles.author", "in", subQuery)
-    }
-
-    if (favorited && favorited.length > 0) {
-      const subQuery = db("favorites")
-        .select("article")
-        .whereIn(
-          "user",
-          db("users")
-            .select("id")
-            .whereIn("username", favorited),
-        )
-
-      articlesQuery = articlesQuery.andWhere("articles.id", "in", subQuery)
-      countQuery = countQuery.andWhere("articles.id", "in", subQuery)
-    }
-
-    if (tag && tag.length > 0) {
-      const subQuery = db("articles_tags")
-        .select("article")
-        .whereIn(
-          "tag",
-          db("tags")
-            .select("id")
-            .whereIn("name", tag),
-        )
-
-      articlesQuery = articlesQuery.andWhere("articles.id", "in", subQuery)
-      countQuery = countQuery.andWhere("articles.id", "in", subQuery)
-    }
-
-    articlesQuery = articlesQuery
-      .leftJoin("users", "articles.author", "users.id")
-      .leftJoin("articles_tags", "articles.id", "articles_tags.article")
-      .leftJoin("tags", "articles_tags.tag", "tags.id")
-      .leftJoin("favorites", function() {
-        this.on("articles.id", "=", "favorites.article").onIn(
-          "favorites.user",
-          [user && user.id],
-        )
-      })
-      .leftJoin("followers", function() {
-        this.on(
-          "articles.author",
-          "=",
-          "followers.user",
-        ).onIn("followers.follower", [user && user.id])
-      })
-
-    let [articles, [countRes]] = await Promise.all([articlesQuery, countQuery])
+    const terms = search.getTerms(ctx.query.q)
 
-    articles = joinJs
-      .map(articles, relationsMaps, "articleMap", "article_")
-      .map(a => {
-        a.favorited = Boolean(a.favorited)
-        a.tagList = a.tagList.map(t => t.name)
-        a.author.following = Boolean(a.author.following)
-        delete a.author.id
-        return a
-      })
-
-    let articlesCount = countRes.count || countRes["count(*)"]
-    articlesCount = Number(articlesCount)
+    ctx.assert(
+      !terms.length || !ctx.query.cursor,
+      422,
+      new ValidationError(["can't be combined with q"], "", "cursor"),
+    )
 
-    ctx.body = { articles, articlesCount }
+    ctx.body = await listArticles(ctx.query, user)
   },
 
   /**
@@ -222,10 +277,21 @@ module.exports = {
    * 
    * This function performs the following:
    * - Retrieves an article from the context params.
+   * - Adds the series the article is part of, with its position and the previous and next parts, or null.
+   * - Counts a view towards trending once per reader and hour, unless the reader is the author.
    * - Returns the article data.
    */
   async getOne(ctx) {
-    ctx.body = { article: ctx.params.article }
+    const { article } = ctx.params
+    const { user } = ctx.state
+
+    article.series = await series.locate(article, user)
+
+    if (!user || user.id !== article.author.id) {
+      trending.recordView(article.id, user ? `user:${user.id}` : `ip:${ctx.ip}`)
+    }
+
+    ctx.body = { article }
   },
 
   /**
@@ -237,14 +303,16 @@ module.exports = {
    * - Validates the article data using the schema.
    * - Generates a slug for the article.
    * - Inserts the article into the articles table.
-   * - Handles duplicate slugs by appending a UUID to the slug.
+   * - Renders the Markdown body to sanitised HTML and stores it with the word count, reading time and table of contents.
+ * - Handles duplicate slugs by appending a UUID to the slug.
    * - If the article has tags, validates the tags, inserts them into the tags table, and inserts the article-tag relations into the articles_tags table.
+ * - If the article is published right away, pushes it to the live streams of the author's followers and to webhooks.
    * - Formats the article data and returns it in the context body.
    */
   async post(ctx) {
     const { body } = ctx.request
     let { article } = body
-    let tags
+    const fields = _.clone(article)
     const opts = { abortEarly: false }
 
     article.id = uuid()
@@ -252,19 +320,16 @@ module.exports = {
 
     article = await ctx.app.schemas.article.validate(article, opts)
 
+    resolvePublishing(ctx, article, fields)
+
     article.slug = slug(_.get(article, "title", ""), { lower: true })
+    Object.assign(article, renderBody(article.body))
 
-    if (article.tagList && article.tagList.length > 0) {
-      tags = await Promise.all(
-        article.tagList
-          .map(t => ({ id: uuid(), name: t }))
-          .map(t => ctx.app.schemas.tag.validate(t, opts)),
-      )
-    }
+    const tags = await validateTags(ctx.app.schemas, article.tagList)
 
     try {
       await db("articles").insert(
-        humps.decamelizeKeys(_.omit(article, ["tagList"])),
+        toRow(_.omit(article, ["tagList"])),
       )
     } catch (err) {
       ctx.assert(
@@ -275,69 +340,45 @@ module.exports = {
       article.slug = article.slug + "-" + uuid().substr(-6)
 
       await db("articles").insert(
-        humps.decamelizeKeys(_.omit(article, ["tagList"])),
+        toRow(_.omit(article, ["tagList"])),
       )
     }
 
-    if (tags && tags.length) {
-      for (var i = 0; i < tags.length; i++) {
-        try {
-          await db("tags").insert(humps.decamelizeKeys(tags[i]))
-        } catch (err) {
-          ctx.assert(
-            parseInt(err.errno, 10) === 19 || parseInt(err.code, 10) === 23505,
-            err,
-          )
-        }
-      }
-
-      tags = await db("tags")
-        .select()
-        .whereIn(
-          "name",
-          tags.map(t => t.name),
-        )
-
-      const relations = tags.map(t => ({
-        id: uuid(),
-        tag: t.id,
-        article: article.id,
-      }))
-
-      await db("articles_tags").insert(relations)
-    }
+    article.tagList = await saveTags(article.id, tags)
+    await recordRevision(article.id, ctx.state.user.id)
 
+    article.status = getStatus({
+      status: article.status,
+      publish_at: article.publishAt,
+    })
     article.favorited = false
+    article.bookmarked = false
     article.author = _.pick(ctx.state.user, ["username", "bio", "image"])
     article.author.following = false
 
+    if (article.status === "published") {
+      await publishing.announce(article, ctx.state.user.id)
+    }
+
     ctx.body = { article }
   },
 
 /**
  * Updates an existing article in the database.
  * 
- * This function first checks if the article being updated is owned by the user
- * making the request. It then validates and updates the article with any new
- * fields provided in the request body. If a new title is provided, a new slug
+ * The route only lets the article's author or a moderator through. This
+ * function validates and updates the article with any new fields provided
+ * in the request body. If a new title is provided, a new slug
  * is generated. The function handles potential conflicts with slugs by appending
  * a unique identifier if necessary. If the updated article includes a tag list,
  * the tags are validated and associated with the article. The function ensures
  * that the updated article is returned in the response body.
  *
  * @param {Object} ctx - The context object containing request and state information.
- * @throws {ValidationError} If the article is not owned by the user making the request.
  */
 
   async put(ctx) {
     const { article } = ctx.params
-
-    ctx.assert(
-      article.author.id === ctx.state.user.id,
-      422,
-      new ValidationError(["not owned by user"], "", "article"),
-    )
-
     const { body } = ctx.request
     let { article: fields = {} } = body
     const opts = { abortEarly: false }
@@ -349,21 +390,30 @@ module.exports = {
       opts,
     )
 
+    resolvePublishing(ctx, newArticle, fields, article)
+
     if (fields.title) {
       newArticle.slug = slug(_.get(newArticle, "title", ""), { lower: true })
     }
 
+    Object.assign(newArticle, renderBody(newArticle.body))
     newArticle.updatedAt = new Date().toISOString()
 
     try {
       await db("articles")
         .update(
-          humps.decamelizeKeys(
+          toRow(
             _.pick(newArticle, [
               "title",
               "slug",
               "body",
+              "bodyHtml",
+              "wordCount",
+              "readingTimeMinutes",
+              "toc",
               "description",
+              "status",
+              "publishAt",
               "updatedAt",
             ]),
           ),
@@ -379,12 +429,18 @@ module.exports = {
 
       await db("articles")
         .update(
-          humps.decamelizeKeys(
+          toRow(
             _.pick(newArticle, [
               "title",
               "slug",
               "body",
+              "bodyHtml",
+              "wordCount",
+              "readingTimeMinutes",
+              "toc",
               "description",
+              "status",
+              "publishAt",
               "updatedAt",
             ]),
           ),
@@ -392,58 +448,33 @@ module.exports = {
         .where({ id: article.id })
     }
 
-    if (fields.tagList && fields.tagList.length === 0) {
-      await db("articles_tags")
-        .del()
-        .where({ article: article.id })
+    if (fields.tagList) {
+      newArticle.tagList = await saveTags(
+        article.id,
+        await validateTags(ctx.app.schemas, newArticle.tagList),
+      )
     }
 
-    if (fields.tagList && fields.tagList.length > 0) {
-      if (
-        _.difference(article.tagList).length ||
-        _.difference(fields.tagList).length
-      ) {
-        await db("articles_tags")
-          .del()
-          .where({ article: article.id })
-
-        let tags = await Promise.all(
-          newArticle.tagList
-            .map(t => ({ id: uuid(), name: t }))
-            .map(t => ctx.app.schemas.tag.validate(t, opts)),
-        )
-
-        for (var i = 0; i < tags.length; i++) {
-          try {
-            await db("tags").insert(humps.decamelizeKeys(tags[i]))
-          } catch (err) {
-            ctx.assert(
-              parseInt(err.errno, 10) === 19 ||
-                parseInt(err.code, 10) === 23505,
-              err,
-            )
-          }
-        }
-
-        tags = await db("tags")
-          .select()
-          .whereIn(
-            "name",
-            tags.map(t => t.name),
-          )
-
-        const relations = tags.map(t => ({
-          id: uuid(),
-          tag: t.id,
-          article: article.id,
-        }))
-
-        await db("articles_tags").insert(relations)
-      }
-    }
+    await recordRevision(article.id, ctx.state.user.id)
 
+    newArticle.status = getStatus({
+      status: newArticle.status,
+      publish_at: newArticle.publishAt,
+    })
     newArticle.author = ctx.params.author
     newArticle.favorited = article.favorited
+    newArticle.bookmarked = article.bookmarked
+
+    if (
+      newArticle.status === "published" &&
+      !(await publishing.announce(newArticle, article.author.id))
+    ) {
+      await webhooks.trigger(
+        "article.updated",
+        publishing.toWebhookPayload(newArticle),
+        article.author.id,
+      )
+    }
     ctx.body = { article: newArticle }
   },
 
@@ -454,21 +485,19 @@ module.exports = {
    * @param {object} ctx.params - The article to delete.
    *
    * This function performs the following:
-   * - Asserts the article has not been deleted by another user.
    * - Deletes the article.
    * - Deletes the article's tags.
    * - Deletes the article from the user's favorites.
+   * - Deletes the article from everyone's bookmarks and reading lists.
+   * - Removes the article from its series.
+   * - Deletes the article's comments, replies included, and their revisions;
+   *   SQLite doesn't enforce the foreign keys that would cascade.
+   * - Sends `article.deleted` to webhooks if the article was published.
    * - Returns an empty response body.
    */
   async del(ctx) {
     const { article } = ctx.params
 
-    ctx.assert(
-      article.author.id === ctx.state.user.id,
-      422,
-      new ValidationError(["not owned by user"], "", "article"),
-    )
-
     await Promise.all([
       db("favorites")
         .del()
@@ -478,17 +507,50 @@ module.exports = {
         .del()
         .where({ article: article.id }),
 
-      db("articles")
+      db("bookmarks")
+        .del()
+        .where({ article: article.id }),
+
+      db("reading_list_items")
         .del()
-        .where({ id: article.id }),
+        .where({ article: article.id }),
+
+      db("series_articles")
+        .del()
+        .where({ article: article.id }),
     ])
 
+    await db("comment_revisions")
+      .del()
+      .whereIn(
+        "comment",
+        db("comments")
+          .select("id")
+          .where({ article: article.id }),
+      )
+
+    await db("comments")
+      .del()
+      .where({ article: article.id })
+
+    await db("articles")
+      .del()
+      .where({ id: article.id })
+
+    if (article.status === "published") {
+      await webhooks.trigger(
+        "article.deleted",
+        { article: _.pick(article, ["slug", "title"]) },
+        article.author.id,
+      )
+    }
+
     ctx.body = {}
   },
 
   feed: {
     /**
-     * Retrieves the articles written by the users the authenticated user follows.
+     * Retrieves the articles written by the users the authenticated user follows and, optionally, the articles with the tags they follow.
      *
      * @param {object} ctx - The Koa context object.
      * @param {object} ctx.state - The Koa context state object.
@@ -496,66 +558,246 @@ module.exports = {
      * @param {object} ctx.query - The Koa context query object.
      * @param {string} ctx.query.offset - The number of articles to skip.
      * @param {string} ctx.query.limit - The number of articles to limit the query to.
+     * @param {object} [ctx.query.cursor] - The after/before cursor to page from instead of the offset.
+     * @param {string} [ctx.query.include] - `tags` to mix in the articles with the tags the user follows.
      *
      * This function performs the following:
-     * - Retrieves the ids of the users the authenticated user follows.
-     * - Retrieves the articles written by the followed users.
-     * - Retrieves the count of the articles written by the followed users.
-     * - Maps the articles to the article relation map.
-     * - Formats the articles and tags.
-     * - Returns the articles and the count of the articles.
+     * - Selects one page of ids of the articles written by the users the authenticated user follows, leaving out muted and blocked authors.
+     * - With `include=tags`, also selects other people's articles with a followed tag; each article appears once.
+     * - Retrieves the count of those articles.
+     * - Loads the authors, tags and favorited status of the page's articles.
+     * - Tells for each article why it is in the feed: `{ type: "author" }` for a followed author, otherwise `{ type: "tag", tags }` with the followed tags it has.
+     * - Returns the articles, the count of the articles and the cursors of the neighbouring pages.
      */
     async get(ctx) {
       const { user } = ctx.state
-      const { offset, limit } = ctx.query
+      const withTags = ctx.query.include === "tags"
+
+      const followedIds = whereNotSilenced(
+        db("followers")
+          .select("user")
+          .where({ follower: user.id }),
+        "user",
+        user,
+      )
+
+      const taggedIds = db("articles_tags")
+        .select("article")
+        .whereIn(
+          "tag",
+          db("tag_follows")
+            .select("tag")
+            .where({ user: user.id }),
+        )
 
-      const followedIds = await db("followers")
-        .pluck("user")
-        .where({ follower: user.id })
+      const selectFeed = query =>
+        wherePublished(
+          query.where(function() {
+            this.whereIn("articles.author", followedIds)
+
+            if (withTags) {
+              this.orWhere(function() {
+                whereNotSilenced(
+                  this.whereIn("articles.id", taggedIds).whereNot(
+                    "articles.author",
+                    user.id,
+                  ),
+                  "articles.author",
+                  user,
+                )
+              })
+            }
+          }),
+        )
 
-      let [articles, [countRes]] = await Promise.all([
-        db("articles")
-          .select(
-            ...getSelect("articles", "article", articleFields),
-            ...getSelect("users", "author", userFields),
-            ...getSelect("articles_tags", "tag", ["id"]),
-            ...getSelect("tags", "tag", ["id", "name"]),
-            "favorites.id as article_favorited",
-          )
-          .whereIn("articles.author", followedIds)
-          .limit(limit)
-          .offset(offset)
-          .orderBy("articles.created_at", "desc")
-          .leftJoin("users", "articles.author", "users.id")
-          .leftJoin("articles_tags", "articles.id", "articles_tags.article")
-          .leftJoin("tags", "articles_tags.tag", "tags.id")
-          .leftJoin("favorites", function() {
-            this.on(
+      const [rows, [countRes]] = await Promise.all([
+        cursor.apply(
+          selectFeed(
+            db("articles").select(
               "articles.id",
-              "=",
-              "favorites.article",
-            ).onIn("favorites.user", [user && user.id])
-          }),
+              "articles.created_at",
+              "articles.author",
+            ),
+          ),
+          "articles",
+          ctx.query,
+        ),
 
-        db("articles")
-          .count()
-          .whereIn("author", followedIds),
+        selectFeed(db("articles").count()),
       ])
 
-      articles = joinJs
-        .map(articles, relationsMaps, "articleMap", "article_")
-        .map(a => {
-          a.favorited = Boolean(a.favorited)
-          a.tagList = a.tagList.map(t => t.name)
-          a.author.following = true
-          delete a.author.id
-          return a
-        })
+      const page = cursor.page(rows, ctx.query)
+
+      const [articles, reasons] = await Promise.all([
+        hydrate(page.rows, user),
+        getFeedReasons(page.rows, user),
+      ])
+
+      articles.forEach(a => {
+        a.reason = reasons[a.id]
+      })
+
+      let articlesCount = countRes.count || countRes["count(*)"]
+      articlesCount = Number(articlesCount)
+
+      ctx.body = {
+        articles,
+        articlesCount,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      }
+    },
+  },
+
+  trending: {
+    /**
+     * Retrieves the trending articles: those with the most recent favorites, comments and views.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {object} ctx.query - The Koa context query object.
+     * @param {string} [ctx.query.window] - `day`, `week` (the default) or `month`.
+     * @param {string[]} [ctx.query.tag] - Only rank articles with this tag; at most one.
+     * @param {string} ctx.query.offset - The number of articles to skip.
+     * @param {string} ctx.query.limit - The number of articles to limit the query to.
+     *
+     * This function performs the following:
+     * - Ranks the published articles of the window by their time-decayed score, using the cached ranking when it is fresh.
+     * - Leaves out articles by authors the current user has muted or blocked.
+     * - Loads the authors, tags and favorited status of the page's articles.
+     * - Returns the articles with their score and the count of ranked articles.
+     */
+    async get(ctx) {
+      const { user } = ctx.state
+      const { window = "week", tag, offset, limit } = ctx.query
+
+      ctx.assert(
+        trending.windows[window],
+        422,
+        new ValidationError(
+          [`must be one of ${Object.keys(trending.windows).join(", ")}`],
+          "",
+          "window",
+        ),
+      )
+
+      ctx.assert(
+        !tag || tag.length === 1,
+        422,
+        new ValidationError(["must be a single tag"], "", "tag"),
+      )
+
+      let ranked = await trending.rank(window, tag && tag[0])
+
+      if (user) {
+        const visible = new Set(
+          await whereNotSilenced(
+            db("users")
+              .pluck("id")
+              .whereIn("id", _.uniq(ranked.map(r => r.author))),
+            "id",
+            user,
+          ),
+        )
+
+        ranked = ranked.filter(r => visible.has(r.author))
+      }
+
+      const page = ranked.slice(offset, offset + limit)
+      const scores = _.fromPairs(page.map(r => [r.id, r.score]))
+
+      const articles = await hydrate(page, user)
+
+      articles.forEach(a => {
+        a.trendingScore = scores[a.id]
+      })
+
+      ctx.body = {
+        articles,
+        articlesCount: ranked.length,
+        nextCursor: null,
+        prevCursor: null,
+      }
+    },
+  },
+
+  related: {
+    /**
+     * Retrieves the articles related to an article.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {object} ctx.params.article - The article.
+     * @param {string} [ctx.query.limit] - How many articles to return; `related.limit` by default, `related.maxLimit` at most.
+     *
+     * This function performs the following:
+     * - Ranks other published articles by the tags they share with the article, how many of the article's favoriters also favorited them, and whether they have the same author.
+     * - Leaves out articles by authors the current user has muted or blocked.
+     * - Loads the authors, tags and favorited status of the articles.
+     * - Returns the articles, best match first.
+     */
+    async get(ctx) {
+      const { article } = ctx.params
+      const { user } = ctx.state
+
+      const limit = ctx.query.paged
+        ? Math.min(ctx.query.limit, config.get("related.maxLimit"))
+        : config.get("related.limit")
+
+      const articles = await hydrate(
+        await findRelated(article, user, limit),
+        user,
+      )
+
+      ctx.body = { articles, articlesCount: articles.length }
+    },
+  },
+
+  drafts: {
+    /**
+     * Retrieves the authenticated user's drafts and scheduled articles that are not published yet.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {object} ctx.state.user - The authenticated user.
+     *
+     * This function performs the following:
+     * - Selects one page of ids of the user's unpublished articles, newest first.
+     * - Retrieves the count of the user's unpublished articles.
+     * - Loads the authors, tags and favorited status of the page's articles.
+     * - Returns the articles, the count of the articles and the cursors of the neighbouring pages.
+     */
+    async get(ctx) {
+      const { user } = ctx.state
+
+      const [rows, [countRes]] = await Promise.all([
+        cursor.apply(
+          whereUnpublished(
+            db("articles")
+              .select("articles.id", "articles.created_at")
+              .where("articles.author", user.id),
+          ),
+          "articles",
+          ctx.query,
+        ),
+
+        whereUnpublished(
+          db("articles")
+            .count()
+            .where("articles.author", user.id),
+        ),
+      ])
+
+      const page = cursor.page(rows, ctx.query)
+
+      const articles = await hydrate(page.rows, user)
 
       let articlesCount = countRes.count || countRes["count(*)"]
       articlesCount = Number(articlesCount)
 
-      ctx.body = { articles, articlesCount }
+      ctx.body = {
+        articles,
+        articlesCount,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      }
     },
   },
 
@@ -569,8 +811,11 @@ module.exports = {
  *
  * This function performs the following:
  * - Checks if the article is already favorited by the user.
+ * - Refuses users the article's author has blocked.
  * - Inserts a new favorite record for the article and the user in the database.
  * - Increments the article's favorites count.
+ * - Counts the favorite towards trending.
+ * - Notifies the article's author.
  * - Updates the article's favorited status.
  * - Returns the updated article data in the context body.
  */
@@ -583,6 +828,12 @@ module.exports = {
         return
       }
 
+      ctx.assert(
+        !(await isBlockedBy([article.author.id], ctx.state.user)),
+        403,
+        new ValidationError(["can't be favorited"], "", "article"),
+      )
+
       await Promise.all([
         db("favorites").insert({
           id: uuid(),
@@ -594,6 +845,14 @@ module.exports = {
           .where({ id: article.id }),
       ])
 
+      await trending.record(article.id, "favorite")
+      await notify({
+        user: article.author.id,
+        actor: ctx.state.user.id,
+        type: types.favorite,
+        article: article.id,
+      })
+
       article.favorited = true
       article.favorites_count = Number(article.favorites_count) + 1
 
@@ -611,6 +870,7 @@ module.exports = {
  * - Checks if the article is not favorited by the user and returns early if so.
  * - Deletes the favorite record for the article and the user from the database.
  * - Decrements the article's favorites count.
+ * - Takes the favorite back from trending.
  * - Updates the article's favorited status.
  * - Returns the updated article data in the context body.
  */
@@ -632,6 +892,11 @@ module.exports = {
           .where({ id: article.id }),
       ])
 
+      await trending.record(article.id, "favorite", {
+        delta: -1,
+        at: ctx.params.favorites[0].created_at,
+      })
+
       article.favorited = false
       article.favorites_count = Number(article.favorites_count) - 1
 
@@ -639,5 +904,105 @@ module.exports = {
     },
   },
 
+  bookmark: {
+    /**
+     * Bookmarks an article for the authenticated user. Unlike favorites,
+     * bookmarks are private and don't count towards `favoritesCount`.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async post(ctx) {
+      const { article } = ctx.params
+
+      if (!article.bookmarked) {
+        try {
+          await db("bookmarks").insert({
+            id: uuid(),
+            user: ctx.state.user.id,
+            article: article.id,
+          })
+        } catch (err) {
+          ctx.assert(isUniqueViolation(err), err)
+        }
+
+        article.bookmarked = true
+      }
+
+      ctx.body = { article }
+    },
+
+    async del(ctx) {
+      const { article } = ctx.params
+
+      await db("bookmarks")
+        .del()
+        .where({ user: ctx.state.user.id, article: article.id })
+
+      article.bookmarked = false
+
+      ctx.body = { article }
+    },
+  },
+
+  bookmarks: {
+    /**
+     * Retrieves the articles the authenticated user bookmarked, most recently bookmarked first.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {object} ctx.state.user - The authenticated user.
+     *
+     * This function performs the following:
+     * - Selects one page of the user's bookmarks, leaving out articles readers can no longer see.
+     * - Retrieves the count of those bookmarks.
+     * - Loads the authors, tags and favorited status of the page's articles.
+     * - Returns the articles, the count of the articles and the cursors of the neighbouring pages.
+     */
+    async get(ctx) {
+      const { user } = ctx.state
+
+      const selectBookmarks = query =>
+        wherePublished(
+          query
+            .innerJoin("articles", "bookmarks.article", "articles.id")
+            .where("bookmarks.user", user.id),
+        )
+
+      const [rows, [countRes]] = await Promise.all([
+        cursor.apply(
+          selectBookmarks(
+            db("bookmarks").select(
+              "bookmarks.id",
+              "bookmarks.created_at",
+              "bookmarks.article",
+            ),
+          ),
+          "bookmarks",
+          ctx.query,
+        ),
+
+        selectBookmarks(db("bookmarks").count()),
+      ])
+
+      const page = cursor.page(rows, ctx.query)
+
+      const articles = await hydrate(
+        page.rows.map(r => ({ id: r.article })),
+        user,
+      )
+
+      let articlesCount = countRes.count || countRes["count(*)"]
+      articlesCount = Number(articlesCount)
+
+      ctx.body = {
+        articles,
+        articlesCount,
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      }
+    },
+  },
+
   comments,
+
+  revisions,
 }
@@ -1,7 +1,16 @@
 const humps = require("humps")
 const uuid = require("uuid")
 const _ = require("lodash")
+const config = require("config")
 const { getSelect } = require("../lib/utils")
+const cursor = require("../lib/cursor")
+const { ValidationError } = require("../lib/errors")
+const { whereNotSilenced, isBlockedBy } = require("../lib/blocks")
+const { notify, types } = require("../lib/notifications")
+const stream = require("../lib/stream")
+const webhooks = require("../lib/webhooks")
+const trending = require("../lib/trending")
+const markdown = require("../lib/markdown")
 const joinJs = require("join-js").default
 const db = require("../lib/db")
 const {
@@ -10,13 +19,136 @@ const {
   relationsMaps,
 } = require("../lib/relations-map")
 
+const commentKey = row => ({
+  created_at: row.comment_created_at,
+  id: row.comment_id,
+})
+
+const deletedBody = "[deleted]"
+const deletedBodyHtml = markdown.render(deletedBody)
+const hiddenBody = "[hidden]"
+const hiddenBodyHtml = markdown.render(hiddenBody)
+
+function selectComments(user) {
+  return db("comments")
+    .select(
+      ...getSelect("comments", "comment", commentFields),
+      ...getSelect("users", "author", userFields),
+      "followers.id as author_following",
+    )
+    .leftJoin("users", "comments.author", "users.id")
+    .leftJoin("followers", function() {
+      this.on("users.id", "=", "followers.user").onIn("followers.follower", [
+        user && user.id,
+      ])
+    })
+}
+
+// Comments hidden by moderators are left out of every list, and comments by
+// users the reader has muted or blocked out of the reader's lists.
+function whereVisible(query, user) {
+  return whereNotSilenced(
+    query.whereNull("comments.hidden_at"),
+    "comments.author",
+    user,
+  )
+}
+
+function mapComments(rows) {
+  return joinJs.map(rows, relationsMaps, "commentMap", "comment_")
+}
+
+// Prefix of the `path` of every descendant of the comment.
+function descendantsPath(comment) {
+  return `${comment.path}${comment.id}/`
+}
+
+/**
+ * Nests every descendant of the given comments under `replies`.
+ * Replies are ordered oldest first, so threads read top down.
+ *
+ * Replies the reader may not see, because moderators hid them or the reader
+ * muted or blocked their authors, are kept as "[hidden]" placeholders when
+ * they have replies the reader may see, and left out otherwise.
+ */
+async function attachReplies(comments, user) {
+  if (!comments.length) {
+    return comments
+  }
+
+  const whereDescendants = function() {
+    comments.forEach(c => {
+      this.orWhere("comments.path", "like", `${descendantsPath(c)}%`)
+    })
+  }
+
+  const [descendants, visible] = await Promise.all([
+    selectComments(user)
+      .where(whereDescendants)
+      .orderBy("comments.created_at", "asc")
+      .orderBy("comments.id", "asc"),
+
+    whereVisible(db("comments").pluck("comments.id"), user).where(
+      whereDescendants,
+    ),
+  ])
+
+  const visibleIds = new Set(visible)
+  const byParent = _.groupBy(mapComments(descendants), "parent")
+  const nest = c => {
+    c.replies = (byParent[c.id] || [])
+      .map(reply => {
+        reply.hidden = !visibleIds.has(reply.id)
+        return nest(reply)
+      })
+      .filter(reply => !reply.hidden || reply.replies.length)
+    return c
+  }
+
+  return comments.map(nest)
+}
+
+function format(comment) {
+  const deleted = Boolean(comment.deleted_at)
+  const hidden = Boolean(comment.hidden)
+
+  const result = {
+    id: comment.id,
+    body: hidden ? hiddenBody : deleted ? deletedBody : comment.body,
+    bodyHtml: hidden
+      ? hiddenBodyHtml
+      : deleted
+      ? deletedBodyHtml
+      : comment.body_html,
+    parentId: comment.parent || null,
+    depth: Number(comment.depth),
+    deleted,
+    hidden,
+    edited: Boolean(comment.edited),
+    createdAt: comment.created_at,
+    updatedAt: comment.updated_at,
+    author:
+      deleted || hidden
+        ? null
+        : Object.assign(_.omit(comment.author, "id"), {
+            following: Boolean(comment.author.following),
+          }),
+  }
+
+  if (comment.replies) {
+    result.replies = comment.replies.map(format)
+  }
+
+  return result
+}
+
 module.exports = {
   async byComment(comment, ctx, next) {
     ctx.assert(comment, 404)
 
     comment = await db("comments")
       .first()
-      .where({ id: comment })
+      .where({ id: comment, article: ctx.params.article.id })
 
     ctx.assert(comment, 404)
 
@@ -25,33 +157,88 @@ module.exports = {
     return next()
   },
 
+  /**
+   * Lists the comments of an article.
+   *
+   * By default every comment is returned in one flat list. With `tree=true`
+   * only top-level comments are listed and each one carries its replies
+   * nested under `replies`. Either list is paged by the after/before cursors
+   * when a limit or cursor is given.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
   async get(ctx) {
     const { user } = ctx.state
     const { article } = ctx.params
+    const tree = ctx.query.tree === "true"
 
-    let comments = await db("comments")
-      .select(
-        ...getSelect("comments", "comment", commentFields),
-        ...getSelect("users", "author", userFields),
-        "followers.id as author_following",
+    const query = whereVisible(selectComments(user), user).where({
+      article: article.id,
+    })
+
+    if (tree) {
+      query.whereNull("comments.parent")
+    }
+
+    // Without limit or cursor the whole list is returned, as before paging.
+    let page = { nextCursor: null, prevCursor: null }
+
+    if (ctx.query.paged) {
+      page = cursor.page(
+        await cursor.apply(query, "comments", ctx.query),
+        ctx.query,
+        commentKey,
       )
-      .where({ article: article.id })
-      .leftJoin("users", "comments.author", "users.id")
-      .leftJoin("followers", function() {
-        this.on("users.id", "=", "followers.user").onIn("followers.follower", [
-          user && user.id,
-        ])
-      })
+    } else {
+      page.rows = await query
+        .orderBy("comments.created_at", "desc")
+        .orderBy("comments.id", "desc")
+    }
 
-    comments = joinJs
-      .map(comments, relationsMaps, "commentMap", "comment_")
-      .map(c => {
-        delete c.author.id
-        c.author.following = Boolean(c.author.following)
-        return c
-      })
+    let comments = mapComments(page.rows)
+
+    if (tree) {
+      comments = await attachReplies(comments, user)
+    }
+
+    ctx.body = {
+      comments: comments.map(format),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    }
+  },
+
+  replies: {
+    /**
+     * Lists one page of the direct replies to a comment, each with its own
+     * replies nested under `replies`.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async get(ctx) {
+      const { user } = ctx.state
+      const { comment } = ctx.params
+
+      const page = cursor.page(
+        await cursor.apply(
+          whereVisible(selectComments(user), user).where({
+            parent: comment.id,
+          }),
+          "comments",
+          ctx.query,
+        ),
+        ctx.query,
+        commentKey,
+      )
+
+      const comments = await attachReplies(mapComments(page.rows), user)
 
-    ctx.body = { comments }
+      ctx.body = {
+        comments: comments.map(format),
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      }
+    },
   },
 
   async post(ctx) {
@@ -65,22 +252,197 @@ module.exports = {
     comment.id = uuid()
     comment.author = user.id
     comment.article = article.id
+    comment.parent = comment.parentId || null
 
     comment = await ctx.app.schemas.comment.validate(comment, opts)
 
+    comment.bodyHtml = markdown.render(comment.body)
+    comment.depth = 0
+    comment.path = ""
+
+    let parent
+
+    if (comment.parent) {
+      parent = await db("comments")
+        .first("id", "author", "depth", "path", "deleted_at")
+        .where({ id: comment.parent, article: article.id })
+
+      ctx.assert(
+        parent && !parent.deleted_at,
+        422,
+        new ValidationError(["is invalid"], "", "parentId"),
+      )
+
+      comment.depth = Number(parent.depth) + 1
+      comment.path = descendantsPath(parent)
+
+      ctx.assert(
+        comment.depth <= config.get("comments.maxDepth"),
+        422,
+        new ValidationError(["is nested too deeply"], "", "parentId"),
+      )
+    }
+
+    ctx.assert(
+      !(await isBlockedBy(
+        _.compact([article.author.id, parent && parent.author]),
+        user,
+      )),
+      403,
+      new ValidationError(["can't be commented on"], "", "article"),
+    )
+
     await db("comments").insert(humps.decamelizeKeys(comment))
+    await trending.record(article.id, "comment")
 
+    await notify({
+      user: article.author.id,
+      actor: user.id,
+      type: types.comment,
+      article: article.id,
+      comment: comment.id,
+    })
+
+    comment.parentId = comment.parent
+    comment.edited = false
     comment.author = _.pick(user, ["username", "bio", "image", "id"])
 
-    ctx.body = { comment }
+    ctx.body = { comment: _.omit(comment, ["parent", "path"]) }
+
+    await stream.commentCreated(article, ctx.body.comment, user.id)
+    await webhooks.trigger(
+      "comment.created",
+      {
+        article: _.pick(article, ["slug", "title"]),
+        comment: _.omit(ctx.body.comment, ["article", "author.id"]),
+      },
+      article.author.id,
+    )
   },
 
-  async del(ctx) {
+  /**
+   * Edits the body of a comment.
+   *
+   * The route only lets the author or a moderator through. The replaced
+   * body is kept in `comment_revisions` and the comment is flagged as edited.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async put(ctx) {
+    const { body } = ctx.request
+    const { user } = ctx.state
     const { comment } = ctx.params
+    const { comment: fields = {} } = body
+
+    ctx.assert(
+      !comment.deleted_at,
+      422,
+      new ValidationError(["is deleted"], "", "comment"),
+    )
+
+    const opts = { abortEarly: false }
+
+    const updated = await ctx.app.schemas.comment.validate(
+      {
+        id: comment.id,
+        author: comment.author,
+        article: comment.article,
+        parent: comment.parent,
+        body: fields.body,
+      },
+      opts,
+    )
+
+    if (updated.body !== comment.body) {
+      await db("comment_revisions").insert({
+        id: uuid(),
+        comment: comment.id,
+        body: comment.body,
+        created_at: comment.updated_at,
+        updated_at: comment.updated_at,
+      })
+
+      await db("comments")
+        .update({
+          body: updated.body,
+          body_html: markdown.render(updated.body),
+          edited: true,
+          updated_at: updated.updatedAt,
+        })
+        .where({ id: comment.id })
+    }
+
+    const [result] = mapComments(
+      await selectComments(user).where({ "comments.id": comment.id }),
+    )
+
+    ctx.body = { comment: format(result) }
+  },
+
+  revisions: {
+    /**
+     * Lists the previous versions of a comment, newest first.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async get(ctx) {
+      const { comment } = ctx.params
+
+      const revisions = await db("comment_revisions")
+        .select("id", "body", "created_at")
+        .where({ comment: comment.id })
+        .orderBy("created_at", "desc")
+        .orderBy("id", "desc")
+
+      ctx.body = { revisions }
+    },
+  },
+
+  /**
+   * Deletes a comment.
+   *
+   * A comment with replies is kept as a "[deleted]" placeholder so the
+   * replies stay attached. Placeholders left without replies are removed.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async del(ctx) {
+    let { comment } = ctx.params
+
+    const hasReplies = await db("comments")
+      .first("id")
+      .where({ parent: comment.id })
+
+    if (hasReplies) {
+      await db("comments")
+        .update({
+          body: "",
+          body_html: "",
+          deleted_at: new Date().toISOString(),
+        })
+        .where({ id: comment.id })
+
+      ctx.body = {}
+      return
+    }
+
+    while (comment) {
+      await db("comments")
+        .del()
+        .where({ id: comment.id })
 
-    await db("comments")
-      .del()
-      .where({ id: comment.id })
+      comment = comment.parent
+        ? await db("comments")
+            .first()
+            .where({ id: comment.parent })
+            .whereNotNull("deleted_at")
+            .whereNotExists(
+              db("comments as replies")
+                .select("id")
+                .whereRaw("replies.parent = comments.id"),
+            )
+        : null
+    }
 
     ctx.body = {}
   },
@@ -0,0 +1,112 @@
+const crypto = require("crypto")
+const _ = require("lodash")
+const config = require("config")
+const feeds = require("../lib/feeds")
+const { listArticles } = require("../lib/articles")
+const { selectIds: selectTagIds } = require("../lib/tags")
+
+const formats = {
+  rss: { render: feeds.rss, type: "application/rss+xml; charset=utf-8" },
+  atom: { render: feeds.atom, type: "application/atom+xml; charset=utf-8" },
+}
+
+/**
+ * Renders a feed of the newest articles matching `filters`.
+ *
+ * The same filters as `GET /api/articles` apply, always as an anonymous
+ * reader so every subscriber gets the same document. `limit` is kept
+ * between 1 and `feeds.maxLimit`. Feed readers sending
+ * `If-None-Match` or `If-Modified-Since` get a 304 when nothing changed.
+ */
+async function send(ctx, format, filters, meta) {
+  const limit = _.clamp(ctx.query.limit, 1, config.get("feeds.maxLimit"))
+  const { articles } = await listArticles(
+    Object.assign({ limit, offset: 0 }, filters),
+    null,
+    { withBody: true },
+  )
+
+  const body = formats[format].render(
+    Object.assign({ articles, self: feeds.absoluteUrl(ctx.url) }, meta),
+  )
+
+  const modified = feeds.lastModified(articles)
+
+  ctx.status = 200
+  ctx.type = formats[format].type
+  ctx.etag = crypto
+    .createHash("sha1")
+    .update(body)
+    .digest("base64")
+
+  if (modified) {
+    ctx.lastModified = modified
+  }
+
+  if (ctx.fresh) {
+    ctx.status = 304
+    return
+  }
+
+  ctx.body = body
+}
+
+function getFormat(ctx) {
+  const format = ctx.params.format
+  ctx.assert(formats[format], 404)
+  return format
+}
+
+module.exports = {
+  /**
+   * Feeds of every article, optionally filtered by `tag` or `author` like
+   * `GET /api/articles`.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async articles(ctx) {
+    const domain = config.get("server.domain")
+
+    await send(ctx, getFormat(ctx), _.pick(ctx.query, ["tag", "author"]), {
+      title: domain,
+      description: `The newest articles on ${domain}`,
+      link: feeds.absoluteUrl("/"),
+    })
+  },
+
+  async profile(ctx) {
+    const { username } = ctx.params.profile
+    const domain = config.get("server.domain")
+
+    await send(
+      ctx,
+      getFormat(ctx),
+      { author: [username] },
+      {
+        title: `${username} on ${domain}`,
+        description: `The newest articles by ${username}`,
+        link: feeds.profileUrl(username),
+      },
+    )
+  },
+
+  async tag(ctx) {
+    const { tag } = ctx.params
+    const domain = config.get("server.domain")
+
+    const [exists] = await selectTagIds([tag])
+
+    ctx.assert(exists, 404)
+
+    await send(
+      ctx,
+      getFormat(ctx),
+      { tag: [tag] },
+      {
+        title: `#${tag} on ${domain}`,
+        description: `The newest articles tagged ${tag}`,
+        link: feeds.absoluteUrl(`/tag/${encodeURIComponent(tag)}`),
+      },
+    )
+  },
+}
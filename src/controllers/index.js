@@ -2,10 +2,24 @@ const users = require("./users-controller")
 const tags = require("./tags-controller")
 const profiles = require("./profiles-controller")
 const articles = require("./articles-controller")
+const reports = require("./reports-controller")
+const notifications = require("./notifications-controller")
+const stream = require("./stream-controller")
+const webhooks = require("./webhooks-controller")
+const feeds = require("./feeds-controller")
+const lists = require("./lists-controller")
+const series = require("./series-controller")
 
 module.exports = {
   users,
   tags,
   profiles,
   articles,
+  reports,
+  notifications,
+  stream,
+  webhooks,
+  feeds,
+  lists,
+  series,
 }
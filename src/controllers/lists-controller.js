@@ -0,0 +1,326 @@
+const uuid = require("uuid")
+const _ = require("lodash")
+const db = require("../lib/db")
+const { ValidationError, isUniqueViolation } = require("../lib/errors")
+const { wherePublished, hydrate } = require("../lib/articles")
+const { whereNotSilenced } = require("../lib/blocks")
+const positions = require("../lib/positions")
+
+function selectLists() {
+  return db("reading_lists")
+    .select(
+      "reading_lists.*",
+      "users.username as owner_username",
+      db.raw("count(reading_list_items.id) as items_count"),
+    )
+    .innerJoin("users", "reading_lists.owner", "users.id")
+    .leftJoin(
+      "reading_list_items",
+      "reading_lists.id",
+      "reading_list_items.list",
+    )
+    .groupBy("reading_lists.id", "users.username")
+}
+
+function format(list) {
+  return {
+    id: list.id,
+    name: list.name,
+    public: Boolean(list.public),
+    owner: list.owner_username,
+    itemsCount: Number(list.items_count),
+    createdAt: list.created_at,
+    updatedAt: list.updated_at,
+  }
+}
+
+async function loadList(id) {
+  return format(
+    await selectLists()
+      .where("reading_lists.id", id)
+      .first(),
+  )
+}
+
+/**
+ * Lists one page of the articles of a reading list, in the owner's order.
+ * Articles readers can no longer see are left out.
+ */
+async function listArticles(list, query, user) {
+  const selectItems = q =>
+    whereNotSilenced(
+      wherePublished(
+        q
+          .innerJoin("articles", "reading_list_items.article", "articles.id")
+          .where("reading_list_items.list", list.id),
+      ),
+      "articles.author",
+      user,
+    )
+
+  const [rows, [countRes]] = await Promise.all([
+    selectItems(db("reading_list_items").select("articles.id"))
+      .orderBy("reading_list_items.position", "asc")
+      .limit(query.limit)
+      .offset(query.offset),
+
+    selectItems(db("reading_list_items").count()),
+  ])
+
+  const articles = await hydrate(rows, user)
+
+  let articlesCount = countRes.count || countRes["count(*)"]
+  articlesCount = Number(articlesCount)
+
+  return { articles, articlesCount }
+}
+
+function assertUniqueName(ctx, err) {
+  ctx.assert(
+    !isUniqueViolation(err),
+    422,
+    new ValidationError(["has already been taken"], "", "name"),
+  )
+  throw err
+}
+
+module.exports = {
+  async byList(list, ctx, next) {
+    ctx.assert(list, 404)
+
+    list = await db("reading_lists")
+      .first()
+      .where({ id: list })
+
+    ctx.assert(list, 404)
+
+    ctx.params.list = list
+
+    return next()
+  },
+
+  async get(ctx) {
+    const { user } = ctx.state
+
+    const rows = await selectLists()
+      .where("reading_lists.owner", user.id)
+      .orderBy("reading_lists.created_at", "asc")
+
+    ctx.body = { lists: rows.map(format) }
+  },
+
+  /**
+   * Returns a reading list of the authenticated user with one page of its
+   * articles.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async getOne(ctx) {
+    const { list } = ctx.params
+    const { user } = ctx.state
+
+    ctx.body = Object.assign(
+      { list: await loadList(list.id) },
+      await listArticles(list, ctx.query, user),
+    )
+  },
+
+  async post(ctx) {
+    const { user } = ctx.state
+    let { list = {} } = ctx.request.body
+
+    const opts = { abortEarly: false }
+
+    list.id = uuid()
+    list = await ctx.app.schemas.readingList.validate(list, opts)
+
+    try {
+      await db("reading_lists").insert({
+        id: list.id,
+        owner: user.id,
+        name: list.name,
+        public: list.public,
+        created_at: list.createdAt,
+        updated_at: list.updatedAt,
+      })
+    } catch (err) {
+      assertUniqueName(ctx, err)
+    }
+
+    ctx.body = { list: await loadList(list.id) }
+  },
+
+  /**
+   * Renames a reading list or makes it public or private.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async put(ctx) {
+    const { list } = ctx.params
+    const { list: fields = {} } = ctx.request.body
+
+    const opts = { abortEarly: false }
+
+    const updated = await ctx.app.schemas.readingList.validate(
+      Object.assign(
+        { id: list.id, name: list.name, public: Boolean(list.public) },
+        _.pick(fields, ["name", "public"]),
+      ),
+      opts,
+    )
+
+    try {
+      await db("reading_lists")
+        .update({
+          name: updated.name,
+          public: updated.public,
+          updated_at: updated.updatedAt,
+        })
+        .where({ id: list.id })
+    } catch (err) {
+      assertUniqueName(ctx, err)
+    }
+
+    ctx.body = { list: await loadList(list.id) }
+  },
+
+  async del(ctx) {
+    const { list } = ctx.params
+
+    await db("reading_list_items")
+      .del()
+      .where({ list: list.id })
+    await db("reading_lists")
+      .del()
+      .where({ id: list.id })
+
+    ctx.body = {}
+  },
+
+  items: {
+    /**
+     * Adds an article to the end of a reading list. Adding an article that
+     * is already in the list leaves it where it is.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {string} ctx.request.body.article - The slug of the article.
+     */
+    async post(ctx) {
+      const { list } = ctx.params
+      const { article: slug } = ctx.request.body
+
+      const article = await wherePublished(
+        db("articles")
+          .first("articles.id")
+          .where("articles.slug", String(slug || "")),
+      )
+
+      ctx.assert(
+        article,
+        422,
+        new ValidationError(["must be a published article"], "", "article"),
+      )
+
+      const position = await positions.next("reading_list_items", {
+        list: list.id,
+      })
+
+      try {
+        await db("reading_list_items").insert({
+          id: uuid(),
+          list: list.id,
+          article: article.id,
+          position,
+        })
+      } catch (err) {
+        ctx.assert(isUniqueViolation(err), err)
+      }
+
+      ctx.body = { list: await loadList(list.id) }
+    },
+
+    /**
+     * Reorders a reading list. The given articles move to the top in the
+     * given order; the others keep their order after them.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {string[]} ctx.request.body.articles - Slugs of articles in the
+     *   list.
+     */
+    async put(ctx) {
+      const { list } = ctx.params
+      const { articles: slugs } = ctx.request.body
+
+      ctx.assert(
+        Array.isArray(slugs) && slugs.length > 0,
+        422,
+        new ValidationError(["must be a list of slugs"], "", "articles"),
+      )
+
+      ctx.assert(
+        await positions.reorder("reading_list_items", { list: list.id }, slugs),
+        422,
+        new ValidationError(
+          ["must only contain articles in the list"],
+          "",
+          "articles",
+        ),
+      )
+
+      ctx.body = { list: await loadList(list.id) }
+    },
+
+    async del(ctx) {
+      const { list } = ctx.params
+
+      await db("reading_list_items")
+        .del()
+        .where({ list: list.id })
+        .whereIn(
+          "article",
+          db("articles")
+            .select("id")
+            .where({ slug: ctx.params.slug }),
+        )
+
+      ctx.body = { list: await loadList(list.id) }
+    },
+  },
+
+  profile: {
+    /**
+     * Lists the public reading lists of a user.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async get(ctx) {
+      const { profile } = ctx.params
+
+      const rows = await selectLists()
+        .where("reading_lists.owner", profile.id)
+        .where("reading_lists.public", true)
+        .orderBy("reading_lists.created_at", "asc")
+
+      ctx.body = { lists: rows.map(format) }
+    },
+
+    /**
+     * Returns a public reading list with one page of its articles. Private
+     * lists are only found by their owner.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async getOne(ctx) {
+      const { profile, list } = ctx.params
+      const { user } = ctx.state
+
+      ctx.assert(list.owner === profile.id, 404)
+      ctx.assert(list.public || (user && user.id === list.owner), 404)
+
+      ctx.body = Object.assign(
+        { list: await loadList(list.id) },
+        await listArticles(list, ctx.query, user),
+      )
+    },
+  },
+}
@@ -0,0 +1,70 @@
+const cursor = require("../lib/cursor")
+const { selectNotifications, format } = require("../lib/notifications")
+const db = require("../lib/db")
+
+async function countUnread(user) {
+  const [countRes] = await selectNotifications(user.id)
+    .clearSelect()
+    .count()
+    .whereNull("notifications.read_at")
+
+  return Number(countRes.count || countRes["count(*)"])
+}
+
+module.exports = {
+  /**
+   * Lists the notifications of the authenticated user, newest first, with
+   * the number of unread ones.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async get(ctx) {
+    const { user } = ctx.state
+
+    const [rows, unreadCount] = await Promise.all([
+      cursor.apply(selectNotifications(user.id), "notifications", ctx.query),
+      countUnread(user),
+    ])
+
+    const page = cursor.page(rows, ctx.query)
+
+    ctx.body = {
+      notifications: page.rows.map(format),
+      unreadCount,
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    }
+  },
+
+  read: {
+    /**
+     * Marks the notification given by `id` as read, or every notification
+     * when no id is given.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async post(ctx) {
+      const { user } = ctx.state
+      const { id } = ctx.request.body
+
+      const query = db("notifications")
+        .update({ read_at: new Date().toISOString() })
+        .where({ user: user.id })
+        .whereNull("read_at")
+
+      if (id) {
+        const notification = await db("notifications")
+          .first("id")
+          .where({ id, user: user.id })
+
+        ctx.assert(notification, 404)
+
+        query.where({ id })
+      }
+
+      await query
+
+      ctx.body = { unreadCount: await countUnread(user) }
+    },
+  },
+}
@@ -4,6 +4,11 @@ const { getSelect } = require("../lib/utils")
 const { userFields, relationsMaps } = require("../lib/relations-map")
 const joinJs = require("join-js").default
 const db = require("../lib/db")
+const { ValidationError, isUniqueViolation } = require("../lib/errors")
+const { roles } = require("../lib/permissions")
+const { isBlockedBy } = require("../lib/blocks")
+const { notify, types } = require("../lib/notifications")
+const webhooks = require("../lib/webhooks")
 
 module.exports = {
   async byUsername(username, ctx, next) {
@@ -15,6 +20,8 @@ module.exports = {
       .select(
         ...getSelect("users", "profile", userFields),
         "followers.id as profile_following",
+        "blocks.id as profile_blocking",
+        "mutes.id as profile_muting",
       )
       .where({ username })
       .leftJoin("followers", function() {
@@ -22,6 +29,16 @@ module.exports = {
           user && user.id,
         ])
       })
+      .leftJoin("blocks", function() {
+        this.on("users.id", "=", "blocks.user").onIn("blocks.blocker", [
+          user && user.id,
+        ])
+      })
+      .leftJoin("mutes", function() {
+        this.on("users.id", "=", "mutes.user").onIn("mutes.muter", [
+          user && user.id,
+        ])
+      })
 
     ctx.assert(ctx.params.profile && ctx.params.profile.length, 404)
 
@@ -34,9 +51,11 @@ module.exports = {
 
     await next()
 
-    if (ctx.body.profile) {
+    if (ctx.body && ctx.body.profile) {
       ctx.body.profile = _.omit(ctx.body.profile, "id")
       ctx.body.profile.following = Boolean(ctx.body.profile.following)
+      ctx.body.profile.blocking = Boolean(ctx.body.profile.blocking)
+      ctx.body.profile.muting = Boolean(ctx.body.profile.muting)
     }
   },
 
@@ -55,6 +74,12 @@ module.exports = {
         return
       }
 
+      ctx.assert(
+        !(await isBlockedBy([profile.id], user)),
+        403,
+        new ValidationError(["can't be followed"], "", "profile"),
+      )
+
       if (user.username !== profile.username) {
         const follow = {
           id: uuid(),
@@ -62,16 +87,36 @@ module.exports = {
           follower: user.id,
         }
 
+        // A parallel request may have followed first; it notifies.
+        let followed = true
+
         try {
           await db("followers").insert(follow)
         } catch (err) {
-          ctx.assert(
-            parseInt(err.errno, 10) === 19 && parseInt(err.code, 10) === 23505,
-            err,
-          )
+          ctx.assert(isUniqueViolation(err), err)
+          followed = false
         }
 
         profile.following = true
+
+        if (!followed) {
+          ctx.body = { profile }
+          return
+        }
+
+        await notify({
+          user: profile.id,
+          actor: user.id,
+          type: types.follow,
+        })
+        await webhooks.trigger(
+          "profile.followed",
+          {
+            profile: _.pick(profile, ["username"]),
+            follower: _.pick(user, ["username", "bio", "image"]),
+          },
+          profile.id,
+        )
       }
 
       ctx.body = { profile }
@@ -95,4 +140,131 @@ module.exports = {
       ctx.body = { profile }
     },
   },
+
+  block: {
+    /**
+     * Blocks the user. The blocked user stops following the blocker and can
+     * no longer follow them, comment on their articles or favorite them.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async post(ctx) {
+      const { profile } = ctx.params
+      const { user } = ctx.state
+
+      ctx.assert(
+        user.id !== profile.id,
+        422,
+        new ValidationError(["can't block yourself"], "", "profile"),
+      )
+
+      if (!profile.blocking) {
+        try {
+          await db("blocks").insert({
+            id: uuid(),
+            user: profile.id,
+            blocker: user.id,
+          })
+        } catch (err) {
+          ctx.assert(isUniqueViolation(err), err)
+        }
+
+        await db("followers")
+          .where({ user: user.id, follower: profile.id })
+          .del()
+
+        profile.blocking = true
+      }
+
+      ctx.body = { profile }
+    },
+
+    async del(ctx) {
+      const { profile } = ctx.params
+      const { user } = ctx.state
+
+      await db("blocks")
+        .where({ user: profile.id, blocker: user.id })
+        .del()
+
+      profile.blocking = false
+
+      ctx.body = { profile }
+    },
+  },
+
+  mute: {
+    /**
+     * Mutes the user. Their articles and comments are left out of the
+     * muter's lists, but they can still interact with the muter.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async post(ctx) {
+      const { profile } = ctx.params
+      const { user } = ctx.state
+
+      ctx.assert(
+        user.id !== profile.id,
+        422,
+        new ValidationError(["can't mute yourself"], "", "profile"),
+      )
+
+      if (!profile.muting) {
+        try {
+          await db("mutes").insert({
+            id: uuid(),
+            user: profile.id,
+            muter: user.id,
+          })
+        } catch (err) {
+          ctx.assert(isUniqueViolation(err), err)
+        }
+
+        profile.muting = true
+      }
+
+      ctx.body = { profile }
+    },
+
+    async del(ctx) {
+      const { profile } = ctx.params
+      const { user } = ctx.state
+
+      await db("mutes")
+        .where({ user: profile.id, muter: user.id })
+        .del()
+
+      profile.muting = false
+
+      ctx.body = { profile }
+    },
+  },
+
+  role: {
+    /**
+     * Changes the role of a user to the one in `{ profile: { role } }`.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async put(ctx) {
+      const { profile } = ctx.params
+      const { body } = ctx.request
+      const { role } = _.isObject(body.profile) ? body.profile : {}
+
+      ctx.assert(
+        _.includes(_.values(roles), role),
+        422,
+        new ValidationError(["is invalid"], "", "role"),
+      )
+
+      await db("users")
+        .update({ role, updated_at: new Date().toISOString() })
+        .where({ id: profile.id })
+
+      profile.role = role
+
+      ctx.body = { profile }
+    },
+  },
 }
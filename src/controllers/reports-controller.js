@@ -0,0 +1,273 @@
+const uuid = require("uuid")
+const _ = require("lodash")
+const config = require("config")
+const { addDays } = require("date-fns")
+const { ValidationError } = require("../lib/errors")
+const { isStaff } = require("../lib/permissions")
+const cursor = require("../lib/cursor")
+const db = require("../lib/db")
+const stream = require("../lib/stream")
+
+// Reports are open until a moderator dismisses them or hides the content or
+// suspends its author.
+const statuses = ["open", "dismissed", "hidden", "suspended"]
+
+function selectReports() {
+  return db("reports")
+    .select(
+      "reports.*",
+      "reporters.username as reporter_username",
+      "articles.slug as article_slug",
+      "articles.title as article_title",
+      "articles.author as article_author",
+      "comments.body as comment_body",
+      "comments.author as comment_author",
+    )
+    .leftJoin("users as reporters", "reports.reporter", "reporters.id")
+    .leftJoin("articles", "reports.article", "articles.id")
+    .leftJoin("comments", "reports.comment", "comments.id")
+}
+
+async function format(reports) {
+  const authors = await db("users")
+    .select("id", "username")
+    .whereIn(
+      "id",
+      _.uniq(reports.map(r => r.comment_author || r.article_author)),
+    )
+
+  const usernames = _.mapValues(_.keyBy(authors, "id"), "username")
+
+  return reports.map(r => ({
+    id: r.id,
+    reason: r.reason,
+    note: r.note,
+    status: r.status,
+    createdAt: r.created_at,
+    resolvedAt: r.resolved_at,
+    reporter: { username: r.reporter_username },
+    author: { username: usernames[r.comment_author || r.article_author] },
+    article: { slug: r.article_slug, title: r.article_title },
+    comment: r.comment ? { id: r.comment, body: r.comment_body } : null,
+  }))
+}
+
+async function create(ctx, comment) {
+  const { user } = ctx.state
+  const { article } = ctx.params
+  let { report = {} } = ctx.request.body
+
+  const opts = { abortEarly: false }
+
+  report.id = uuid()
+  report = await ctx.app.schemas.report.validate(report, opts)
+
+  const target = { article: article.id, comment: comment ? comment.id : null }
+
+  // Reporting the same content twice keeps the first open report.
+  const existing = await db("reports")
+    .first("id")
+    .where(Object.assign({ reporter: user.id, status: "open" }, target))
+
+  if (!existing) {
+    await db("reports").insert(
+      Object.assign(
+        {
+          id: report.id,
+          reporter: user.id,
+          reason: report.reason,
+          note: report.note,
+          created_at: report.createdAt,
+          updated_at: report.updatedAt,
+        },
+        target,
+      ),
+    )
+  }
+
+  const [result] = await format(
+    await selectReports().where({
+      "reports.id": existing ? existing.id : report.id,
+    }),
+  )
+
+  ctx.body = { report: result }
+}
+
+// Resolves the report together with every other open report on the same
+// content, so the queue doesn't keep asking about content already handled.
+async function resolve(ctx, status) {
+  const { report } = ctx.params
+  const now = new Date().toISOString()
+
+  await db("reports")
+    .update({
+      status,
+      resolved_by: ctx.state.user.id,
+      resolved_at: now,
+      updated_at: now,
+    })
+    .where({ article: report.article, comment: report.comment, status: "open" })
+
+  const [result] = await format(
+    await selectReports().where({ "reports.id": report.id }),
+  )
+
+  ctx.body = { report: result }
+}
+
+module.exports = {
+  async byReport(report, ctx, next) {
+    ctx.assert(report, 404)
+
+    report = await db("reports")
+      .first()
+      .where({ id: report })
+
+    ctx.assert(report, 404)
+
+    ctx.params.report = report
+
+    await next()
+  },
+
+  article: {
+    async post(ctx) {
+      await create(ctx)
+    },
+  },
+
+  comment: {
+    async post(ctx) {
+      await create(ctx, ctx.params.comment)
+    },
+  },
+
+  /**
+   * Lists the moderation queue, newest first. Open reports are listed by
+   * default; `status` selects resolved ones instead.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async get(ctx) {
+    const status = ctx.query.status || "open"
+
+    ctx.assert(
+      statuses.includes(status),
+      422,
+      new ValidationError(["is invalid"], "", "status"),
+    )
+
+    const rows = await cursor.apply(
+      selectReports().where("reports.status", status),
+      "reports",
+      ctx.query,
+    )
+
+    const page = cursor.page(rows, ctx.query)
+
+    ctx.body = {
+      reports: await format(page.rows),
+      nextCursor: page.nextCursor,
+      prevCursor: page.prevCursor,
+    }
+  },
+
+  async dismiss(ctx) {
+    assertOpen(ctx)
+    await resolve(ctx, "dismissed")
+  },
+
+  /**
+   * Hides the reported article or comment from every list.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async hide(ctx) {
+    assertOpen(ctx)
+
+    const { report } = ctx.params
+    const hidden = { hidden_at: new Date().toISOString() }
+
+    if (report.comment) {
+      await db("comments")
+        .update(hidden)
+        .where({ id: report.comment })
+    } else {
+      await db("articles")
+        .update(hidden)
+        .where({ id: report.article })
+    }
+
+    await resolve(ctx, "hidden")
+  },
+
+  /**
+   * Suspends the author of the reported content for `days` days, a positive
+   * integer, or for the configured default.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async suspend(ctx) {
+    assertOpen(ctx)
+
+    const { report } = ctx.params
+    const { days = config.get("moderation.suspensionDays") } = ctx.request.body
+
+    ctx.assert(
+      Number.isInteger(days) && days > 0,
+      422,
+      new ValidationError(["must be a positive integer"], "", "days"),
+    )
+
+    const target = await (report.comment
+      ? db("comments")
+          .first("author")
+          .where({ id: report.comment })
+      : db("articles")
+          .first("author")
+          .where({ id: report.article }))
+
+    ctx.assert(
+      target,
+      422,
+      new ValidationError(
+        ["no longer exists"],
+        "",
+        report.comment ? "comment" : "article",
+      ),
+    )
+
+    const author = await db("users")
+      .first("id", "role")
+      .where({ id: target.author })
+
+    ctx.assert(
+      author,
+      422,
+      new ValidationError(["no longer exists"], "", "author"),
+    )
+
+    ctx.assert(
+      !isStaff(author),
+      422,
+      new ValidationError(["can't be suspended"], "", "author"),
+    )
+
+    await db("users")
+      .update({ suspended_until: addDays(new Date(), days).toISOString() })
+      .where({ id: author.id })
+
+    stream.closeUser(author.id)
+
+    await resolve(ctx, "suspended")
+  },
+}
+
+function assertOpen(ctx) {
+  ctx.assert(
+    ctx.params.report.status === "open",
+    422,
+    new ValidationError(["is already resolved"], "", "report"),
+  )
+}
@@ -0,0 +1,140 @@
+const _ = require("lodash")
+const humps = require("humps")
+const config = require("config")
+const { diffLines } = require("../lib/diff")
+const { userFields } = require("../lib/relations-map")
+const { getSelect } = require("../lib/utils")
+const {
+  validateTags,
+  saveTags,
+  recordRevision,
+  renderBody,
+  toRow,
+} = require("../lib/articles")
+const db = require("../lib/db")
+
+function selectRevisions() {
+  return db("article_revisions")
+    .select(
+      "article_revisions.id",
+      "article_revisions.title",
+      "article_revisions.description",
+      "article_revisions.body",
+      "article_revisions.tag_list",
+      "article_revisions.created_at",
+      ...getSelect("users", "author", userFields),
+    )
+    .leftJoin("users", "article_revisions.author", "users.id")
+}
+
+function format(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    body: row.body,
+    tagList: JSON.parse(row.tag_list),
+    createdAt: row.created_at,
+    author: {
+      username: row.author_username,
+      bio: row.author_bio,
+      image: row.author_image,
+    },
+  }
+}
+
+module.exports = {
+  async byRevision(revision, ctx, next) {
+    ctx.assert(revision, 404)
+
+    revision = await selectRevisions()
+      .first()
+      .where({
+        "article_revisions.id": revision,
+        "article_revisions.article": ctx.params.article.id,
+      })
+
+    ctx.assert(revision, 404)
+
+    ctx.params.revision = format(revision)
+
+    return next()
+  },
+
+  /**
+   * Lists every saved version of an article, newest first, without bodies.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async get(ctx) {
+    const rows = await selectRevisions()
+      .where({ "article_revisions.article": ctx.params.article.id })
+      .orderBy("article_revisions.created_at", "desc")
+      .orderBy("article_revisions.id", "desc")
+
+    ctx.body = { revisions: rows.map(r => _.omit(format(r), "body")) }
+  },
+
+  /**
+   * Returns one revision with a line diff of its body against the current
+   * body of the article. Bodies more than `revisions.maxDiffEdits` lines
+   * apart are shown as replaced.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async getOne(ctx) {
+    const { article, revision } = ctx.params
+
+    ctx.body = {
+      revision: Object.assign({}, revision, {
+        diff: diffLines(
+          revision.body,
+          article.body,
+          config.get("revisions.maxDiffEdits"),
+        ),
+      }),
+    }
+  },
+
+  /**
+   * Rolls the article back to a revision. The slug is kept, so links to the
+   * article keep working, and the restored content is saved as a new
+   * revision.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async restore(ctx) {
+    const { article, revision } = ctx.params
+    const { user } = ctx.state
+
+    const tags = await validateTags(ctx.app.schemas, revision.tagList)
+    const updatedAt = new Date().toISOString()
+
+    const rendered = renderBody(revision.body)
+
+    await db("articles")
+      .update(
+        toRow(
+          Object.assign(
+            _.pick(revision, ["title", "description", "body"]),
+            rendered,
+            { updatedAt },
+          ),
+        ),
+      )
+      .where({ id: article.id })
+
+    const tagList = await saveTags(article.id, tags)
+    await recordRevision(article.id, user.id)
+
+    ctx.body = {
+      article: Object.assign(
+        {},
+        article,
+        _.pick(revision, ["title", "description", "body"]),
+        humps.decamelizeKeys(rendered),
+        { tagList, updated_at: updatedAt },
+      ),
+    }
+  },
+}
@@ -0,0 +1,235 @@
+const uuid = require("uuid")
+const _ = require("lodash")
+const db = require("../lib/db")
+const { ValidationError, isUniqueViolation } = require("../lib/errors")
+const { hydrate } = require("../lib/articles")
+const { selectParts } = require("../lib/series")
+const positions = require("../lib/positions")
+
+/**
+ * Loads a series with its author and the parts the user can see, in order.
+ */
+async function load(series, user) {
+  const [author, parts] = await Promise.all([
+    db("users")
+      .first("username", "bio", "image")
+      .where({ id: series.author }),
+    selectParts(series, user),
+  ])
+
+  const articles = await hydrate(parts, user)
+
+  return {
+    id: series.id,
+    title: series.title,
+    description: series.description,
+    author,
+    articles,
+    articlesCount: articles.length,
+    createdAt: series.created_at,
+    updatedAt: series.updated_at,
+  }
+}
+
+module.exports = {
+  async bySeries(series, ctx, next) {
+    ctx.assert(series, 404)
+
+    series = await db("series")
+      .first()
+      .where({ id: series })
+
+    ctx.assert(series, 404)
+
+    ctx.params.series = series
+
+    return next()
+  },
+
+  /**
+   * Returns a series with its parts in order.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async getOne(ctx) {
+    ctx.body = { series: await load(ctx.params.series, ctx.state.user) }
+  },
+
+  async post(ctx) {
+    const { user } = ctx.state
+    let { series = {} } = ctx.request.body
+
+    const opts = { abortEarly: false }
+
+    series.id = uuid()
+    series = await ctx.app.schemas.series.validate(series, opts)
+
+    const row = {
+      id: series.id,
+      author: user.id,
+      title: series.title,
+      description: series.description,
+      created_at: series.createdAt,
+      updated_at: series.updatedAt,
+    }
+
+    await db("series").insert(row)
+
+    ctx.body = { series: await load(row, user) }
+  },
+
+  async put(ctx) {
+    const { series } = ctx.params
+    const { series: fields = {} } = ctx.request.body
+
+    const opts = { abortEarly: false }
+
+    const updated = await ctx.app.schemas.series.validate(
+      Object.assign(
+        _.pick(series, ["id", "title", "description"]),
+        _.pick(fields, ["title", "description"]),
+      ),
+      opts,
+    )
+
+    const row = {
+      title: updated.title,
+      description: updated.description,
+      updated_at: updated.updatedAt,
+    }
+
+    await db("series")
+      .update(row)
+      .where({ id: series.id })
+
+    ctx.body = {
+      series: await load(Object.assign({}, series, row), ctx.state.user),
+    }
+  },
+
+  /**
+   * Deletes a series. Its articles are kept.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async del(ctx) {
+    const { series } = ctx.params
+
+    await db("series_articles")
+      .del()
+      .where({ series: series.id })
+    await db("series")
+      .del()
+      .where({ id: series.id })
+
+    ctx.body = {}
+  },
+
+  articles: {
+    /**
+     * Adds one of the author's articles to the end of a series. An article
+     * belongs to one series at most.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {string} ctx.request.body.article - The slug of the article.
+     */
+    async post(ctx) {
+      const { series } = ctx.params
+      const { article: slug } = ctx.request.body
+
+      const article = await db("articles")
+        .first("id", "author")
+        .where({ slug: String(slug || "") })
+
+      ctx.assert(
+        article && article.author === series.author,
+        422,
+        new ValidationError(
+          ["must be an article by the author of the series"],
+          "",
+          "article",
+        ),
+      )
+
+      const current = await db("series_articles")
+        .first("series")
+        .where({ article: article.id })
+
+      if (!current) {
+        const position = await positions.next("series_articles", {
+          series: series.id,
+        })
+
+        try {
+          await db("series_articles").insert({
+            id: uuid(),
+            series: series.id,
+            article: article.id,
+            position,
+          })
+        } catch (err) {
+          ctx.assert(isUniqueViolation(err), err)
+        }
+      } else {
+        ctx.assert(
+          current.series === series.id,
+          422,
+          new ValidationError(["is already part of a series"], "", "article"),
+        )
+      }
+
+      ctx.body = { series: await load(series, ctx.state.user) }
+    },
+
+    /**
+     * Reorders a series. The given articles move to the top in the given
+     * order; the others keep their order after them.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {string[]} ctx.request.body.articles - Slugs of articles in the
+     *   series.
+     */
+    async put(ctx) {
+      const { series } = ctx.params
+      const { articles: slugs } = ctx.request.body
+
+      ctx.assert(
+        Array.isArray(slugs) && slugs.length > 0,
+        422,
+        new ValidationError(["must be a list of slugs"], "", "articles"),
+      )
+
+      ctx.assert(
+        await positions.reorder(
+          "series_articles",
+          { series: series.id },
+          slugs,
+        ),
+        422,
+        new ValidationError(
+          ["must only contain articles in the series"],
+          "",
+          "articles",
+        ),
+      )
+
+      ctx.body = { series: await load(series, ctx.state.user) }
+    },
+
+    async del(ctx) {
+      const { series } = ctx.params
+
+      await db("series_articles")
+        .del()
+        .where({ series: series.id })
+        .whereIn(
+          "article",
+          db("articles")
+            .select("id")
+            .where({ slug: ctx.params.slug }),
+        )
+
+      ctx.body = { series: await load(series, ctx.state.user) }
+    },
+  },
+}
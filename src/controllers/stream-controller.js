@@ -0,0 +1,65 @@
+const { PassThrough } = require("stream")
+const config = require("config")
+const stream = require("../lib/stream")
+
+// The longest delay setTimeout accepts.
+const maxTimeout = 2 ** 31 - 1
+
+module.exports = {
+  /**
+   * Streams live updates to the authenticated user as Server-Sent Events:
+   * new articles by followed authors, new comments on articles the user
+   * wrote or commented on, and notifications.
+   *
+   * A client reconnecting with `Last-Event-ID` first receives the events it
+   * missed. A comment line is sent every few seconds to keep proxies from
+   * closing an idle connection.
+   *
+   * The stream ends when the access token it was opened with expires, so a
+   * client whose refresh token was revoked can't keep listening, and when
+   * the user is suspended.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async get(ctx) {
+    const { user } = ctx.state
+    const lastEventId = ctx.get("Last-Event-ID") || ctx.query.lastEventId
+    const body = new PassThrough()
+
+    ctx.req.setTimeout(0)
+    ctx.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    })
+    ctx.status = 200
+    ctx.body = body
+
+    body.write(`retry: ${config.get("stream.retryMs")}\n\n`)
+
+    const heartbeat = setInterval(
+      () => body.write(": heartbeat\n\n"),
+      config.get("stream.heartbeatMs"),
+    )
+
+    const unsubscribe = stream.subscribe(user.id, lastEventId, {
+      onEvent: event => body.write(stream.serialize(event)),
+      onClose: () => body.end(),
+    })
+
+    const expiry = setTimeout(
+      () => body.end(),
+      Math.min(ctx.state.jwt.exp * 1000 - Date.now(), maxTimeout),
+    )
+
+    const close = () => {
+      clearInterval(heartbeat)
+      clearTimeout(expiry)
+      unsubscribe()
+    }
+
+    body.on("finish", close)
+    ctx.req.on("close", close)
+  },
+}
@@ -1,9 +1,281 @@
+const uuid = require("uuid")
+const _ = require("lodash")
 const db = require("../lib/db")
+const { ValidationError, isUniqueViolation } = require("../lib/errors")
+const { wherePublished } = require("../lib/articles")
+const tags = require("../lib/tags")
+
+const sorts = {
+  count: [
+    { column: "articles_count", order: "desc" },
+    { column: "tags.name", order: "asc" },
+  ],
+  name: [{ column: "tags.name", order: "asc" }],
+}
+
+// Joins tags to the published articles that have them.
+function joinPublished(query) {
+  return wherePublished(
+    query
+      .innerJoin("articles_tags", "tags.id", "articles_tags.tag")
+      .innerJoin("articles", "articles_tags.article", "articles.id"),
+  )
+}
+
+/**
+ * Loads what the page of a tag shows: its description, how many articles
+ * have it, its aliases and whether the user follows it.
+ */
+async function load(tag, user) {
+  const [[countRes], aliases, follow] = await Promise.all([
+    joinPublished(db("tags").count()).where("tags.id", tag.id),
+
+    db("tag_aliases")
+      .pluck("name")
+      .where({ tag: tag.id })
+      .orderBy("name", "asc"),
+
+    user
+      ? db("tag_follows")
+          .first("id")
+          .where({ tag: tag.id, user: user.id })
+      : null,
+  ])
+
+  return {
+    name: tag.name,
+    description: tag.description,
+    articlesCount: Number(countRes.count || countRes["count(*)"]),
+    aliases,
+    following: Boolean(follow),
+  }
+}
 
 module.exports = {
+  async byName(name, ctx, next) {
+    ctx.assert(name, 404)
+
+    const tag = await tags.find(name)
+
+    ctx.assert(tag, 404)
+
+    ctx.params.tag = tag
+
+    return next()
+  },
+
+  /**
+   * Lists the tags of published articles with how many articles have each,
+   * most used first or, with `sort=name`, by name. Without `limit` every tag
+   * is returned.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
   async get(ctx) {
-    const tags = await db("tags").pluck("name")
+    const { sort = "count" } = ctx.query
+
+    ctx.assert(
+      sorts[sort],
+      422,
+      new ValidationError(
+        [`must be one of ${Object.keys(sorts).join(", ")}`],
+        "",
+        "sort",
+      ),
+    )
+
+    const query = joinPublished(
+      db("tags").select(
+        "tags.name",
+        db.raw("count(articles_tags.id) as articles_count"),
+      ),
+    )
+      .groupBy("tags.id", "tags.name")
+      .orderBy(sorts[sort])
+
+    if (ctx.query.paged) {
+      query.limit(ctx.query.limit).offset(ctx.query.offset)
+    }
+
+    const [rows, [countRes]] = await Promise.all([
+      query,
+      joinPublished(db("tags").countDistinct("articles_tags.tag as count")),
+    ])
+
+    ctx.body = {
+      tags: rows.map(r => r.name),
+      tagCounts: rows.map(r => ({
+        name: r.name,
+        articlesCount: Number(r.articles_count),
+      })),
+      tagsCount: Number(countRes.count),
+    }
+  },
+
+  /**
+   * Returns the page of a tag. Aliases find the tag they stand for.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async getOne(ctx) {
+    ctx.body = { tag: await load(ctx.params.tag, ctx.state.user) }
+  },
+
+  /**
+   * Updates the description of a tag.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async put(ctx) {
+    const { tag } = ctx.params
+    const { tag: fields = {} } = ctx.request.body
+
+    const opts = { abortEarly: false }
+
+    const updated = await ctx.app.schemas.tag.validate(
+      Object.assign(
+        _.pick(tag, ["id", "name", "description"]),
+        _.pick(fields, ["description"]),
+      ),
+      opts,
+    )
+
+    await db("tags")
+      .update({
+        description: updated.description,
+        updated_at: updated.updatedAt,
+      })
+      .where({ id: tag.id })
+
+    ctx.body = {
+      tag: await load(
+        Object.assign({}, tag, { description: updated.description }),
+        ctx.state.user,
+      ),
+    }
+  },
+
+  /**
+   * Merges other tags into a tag. Their articles and followers move over
+   * and their names become aliases.
+   *
+   * @param {object} ctx - The Koa context object.
+   * @param {string[]} ctx.request.body.tags - The names of the tags to merge.
+   */
+  async merge(ctx) {
+    const { tag } = ctx.params
+    let { tags: names } = ctx.request.body
+
+    ctx.assert(
+      Array.isArray(names) && names.length > 0,
+      422,
+      new ValidationError(["must be a list of tag names"], "", "tags"),
+    )
+
+    names = _.uniq(names.map(tags.normalize))
+
+    const sources = await db("tags")
+      .select()
+      .whereIn("name", names)
+
+    ctx.assert(
+      sources.length === names.length && sources.every(s => s.id !== tag.id),
+      422,
+      new ValidationError(["must be other existing tags"], "", "tags"),
+    )
+
+    for (const source of sources) {
+      await tags.merge(tag, source)
+    }
+
+    ctx.body = { tag: await load(tag, ctx.state.user) }
+  },
+
+  aliases: {
+    /**
+     * Makes a name an alias of a tag. A tag that already has that name is
+     * merged into the tag.
+     *
+     * @param {object} ctx - The Koa context object.
+     * @param {string} ctx.request.body.alias - The alias.
+     */
+    async post(ctx) {
+      const { tag } = ctx.params
+      const alias = tags.normalize(ctx.request.body.alias)
+
+      ctx.assert(
+        alias,
+        422,
+        new ValidationError(["can't be blank"], "", "alias"),
+      )
+      ctx.assert(
+        await tags.addAlias(tag, alias),
+        422,
+        new ValidationError(["has already been taken"], "", "alias"),
+      )
+
+      ctx.body = { tag: await load(tag, ctx.state.user) }
+    },
+
+    async del(ctx) {
+      const { tag } = ctx.params
+
+      await db("tag_aliases")
+        .del()
+        .where({ tag: tag.id, name: tags.normalize(ctx.params.alias) })
+
+      ctx.body = { tag: await load(tag, ctx.state.user) }
+    },
+  },
+
+  follow: {
+    /**
+     * Follows a tag. Articles with the tag can then be mixed into the
+     * user's feed.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async post(ctx) {
+      const { tag } = ctx.params
+
+      try {
+        await db("tag_follows").insert({
+          id: uuid(),
+          tag: tag.id,
+          user: ctx.state.user.id,
+        })
+      } catch (err) {
+        ctx.assert(isUniqueViolation(err), err)
+      }
+
+      ctx.body = { tag: await load(tag, ctx.state.user) }
+    },
+
+    async del(ctx) {
+      const { tag } = ctx.params
+
+      await db("tag_follows")
+        .del()
+        .where({ tag: tag.id, user: ctx.state.user.id })
+
+      ctx.body = { tag: await load(tag, ctx.state.user) }
+    },
+  },
+
+  following: {
+    /**
+     * Lists the names of the tags the authenticated user follows.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async get(ctx) {
+      const names = await db("tag_follows")
+        .pluck("tags.name")
+        .innerJoin("tags", "tag_follows.tag", "tags.id")
+        .where("tag_follows.user", ctx.state.user.id)
+        .orderBy("tags.name", "asc")
 
-    ctx.body = { tags }
+      ctx.body = { tags: names }
+    },
   },
 }
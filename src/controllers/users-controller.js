@@ -2,8 +2,12 @@ const humps = require("humps")
 const uuid = require("uuid")
 const _ = require("lodash")
 const bcrypt = require("bcryptjs")
+const cursor = require("../lib/cursor")
 const { ValidationError } = require("../lib/errors")
 const { generateJWTforUser } = require("../lib/utils")
+const refreshTokens = require("../lib/refresh-tokens")
+const loginAttempts = require("../lib/login-attempts")
+const { roles, isSuspended } = require("../lib/permissions")
 const db = require("../lib/db")
 
 module.exports = {
@@ -26,7 +30,9 @@ module.exports = {
 
     await db("users").insert(humps.decamelizeKeys(user))
 
+    user.role = roles.user
     user = generateJWTforUser(user)
+    user.refreshToken = await refreshTokens.issue(user.id)
 
     ctx.body = { user: _.omit(user, ["password"]) }
   },
@@ -53,6 +59,7 @@ module.exports = {
       .where({ id: user.id })
       .update(humps.decamelizeKeys(user))
 
+    user.role = ctx.state.user.role
     user = generateJWTforUser(user)
 
     ctx.body = { user: _.omit(user, ["password"]) }
@@ -67,26 +74,138 @@ module.exports = {
       new ValidationError(["malformed request"], "", "email or password"),
     )
 
+    const { email, password } = body.user
+    const attempt = await loginAttempts.reserve(email, ctx.ip)
+
+    if (attempt.waitMs > 0) {
+      ctx.set("Retry-After", String(Math.ceil(attempt.waitMs / 1000)))
+      ctx.throw(
+        429,
+        new ValidationError(
+          ["have failed too often, try again later"],
+          "",
+          "login attempts",
+        ),
+      )
+    }
+
     let user = await db("users")
       .first()
-      .where({ email: body.user.email })
+      .where({ email })
+
+    const isValid = await loginAttempts.comparePassword(
+      password,
+      user && user.password,
+    )
 
     ctx.assert(
-      user,
+      isValid,
       401,
       new ValidationError(["is invalid"], "", "email or password"),
     )
 
-    const isValid = await bcrypt.compare(body.user.password, user.password)
+    await loginAttempts.succeed(attempt)
 
     ctx.assert(
-      isValid,
-      401,
-      new ValidationError(["is invalid"], "", "email or password"),
+      !isSuspended(user),
+      403,
+      new ValidationError(["is suspended"], "", "account"),
     )
 
+    await loginAttempts.recordLogin(user, {
+      ip: ctx.ip,
+      userAgent: ctx.get("User-Agent"),
+    })
+
     user = generateJWTforUser(user)
+    user.refreshToken = await refreshTokens.issue(user.id)
 
     ctx.body = { user: _.omit(user, ["password"]) }
   },
+
+  logins: {
+    /**
+     * Lists the logins of the authenticated user, newest first, with the IP
+     * address and user agent they came from.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async get(ctx) {
+      const rows = await cursor.apply(
+        db("logins")
+          .select("id", "ip", "user_agent", "created_at")
+          .where({ user: ctx.state.user.id }),
+        "logins",
+        ctx.query,
+      )
+
+      const page = cursor.page(rows, ctx.query)
+
+      ctx.body = {
+        logins: page.rows.map(r => ({
+          id: r.id,
+          ip: r.ip,
+          userAgent: r.user_agent,
+          createdAt: r.created_at,
+        })),
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      }
+    },
+  },
+
+  token: {
+    async refresh(ctx) {
+      const { body } = ctx.request
+
+      ctx.assert(
+        _.isString(body.refreshToken) && body.refreshToken,
+        422,
+        new ValidationError(["malformed request"], "", "refresh token"),
+      )
+
+      const rotated = await refreshTokens.rotate(body.refreshToken)
+
+      ctx.assert(
+        rotated,
+        401,
+        new ValidationError(["is invalid"], "", "refresh token"),
+      )
+
+      let user = await db("users")
+        .first()
+        .where({ id: rotated.userId })
+
+      ctx.assert(
+        user,
+        401,
+        new ValidationError(["is invalid"], "", "refresh token"),
+      )
+
+      ctx.assert(
+        !isSuspended(user),
+        403,
+        new ValidationError(["is suspended"], "", "account"),
+      )
+
+      user = generateJWTforUser(user)
+      user.refreshToken = rotated.token
+
+      ctx.body = { user: _.omit(user, ["password"]) }
+    },
+  },
+
+  async logout(ctx) {
+    const { body } = ctx.request
+
+    ctx.assert(
+      _.isString(body.refreshToken) && body.refreshToken,
+      422,
+      new ValidationError(["malformed request"], "", "refresh token"),
+    )
+
+    await refreshTokens.revoke(body.refreshToken)
+
+    ctx.body = {}
+  },
 }
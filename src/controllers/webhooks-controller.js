@@ -0,0 +1,165 @@
+const uuid = require("uuid")
+const _ = require("lodash")
+const cursor = require("../lib/cursor")
+const webhooks = require("../lib/webhooks")
+const db = require("../lib/db")
+
+function format(webhook) {
+  return {
+    id: webhook.id,
+    url: webhook.url,
+    events: JSON.parse(webhook.events),
+    active: Boolean(webhook.active),
+    createdAt: webhook.created_at,
+    updatedAt: webhook.updated_at,
+  }
+}
+
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: Number(delivery.attempts),
+    responseStatus: delivery.response_status,
+    error: delivery.error,
+    nextAttemptAt: delivery.next_attempt_at,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at,
+    payload: JSON.parse(delivery.payload),
+  }
+}
+
+module.exports = {
+  async byWebhook(webhook, ctx, next) {
+    ctx.assert(webhook, 404)
+
+    webhook = await db("webhooks")
+      .first()
+      .where({ id: webhook })
+
+    ctx.assert(webhook, 404)
+
+    ctx.params.webhook = webhook
+
+    return next()
+  },
+
+  async get(ctx) {
+    const { user } = ctx.state
+
+    const rows = await db("webhooks")
+      .select()
+      .where({ owner: user.id })
+      .orderBy("created_at", "desc")
+
+    ctx.body = { webhooks: rows.map(format) }
+  },
+
+  async getOne(ctx) {
+    ctx.body = { webhook: format(ctx.params.webhook) }
+  },
+
+  /**
+   * Registers a webhook. The secret used to sign its payloads is only
+   * returned here.
+   *
+   * @param {object} ctx - The Koa context object.
+   */
+  async post(ctx) {
+    const { user } = ctx.state
+    let { webhook = {} } = ctx.request.body
+
+    const opts = { abortEarly: false }
+
+    webhook.id = uuid()
+    webhook = await ctx.app.schemas.webhook.validate(webhook, opts)
+
+    const row = {
+      id: webhook.id,
+      owner: user.id,
+      url: webhook.url,
+      events: JSON.stringify(_.uniq(webhook.events)),
+      secret: webhooks.generateSecret(),
+      active: webhook.active,
+      created_at: webhook.createdAt,
+      updated_at: webhook.updatedAt,
+    }
+
+    await db("webhooks").insert(row)
+
+    ctx.body = { webhook: Object.assign(format(row), { secret: row.secret }) }
+  },
+
+  async put(ctx) {
+    const { webhook } = ctx.params
+    const { webhook: fields = {} } = ctx.request.body
+
+    const opts = { abortEarly: false }
+
+    const updated = await ctx.app.schemas.webhook.validate(
+      Object.assign(
+        {
+          id: webhook.id,
+          url: webhook.url,
+          events: JSON.parse(webhook.events),
+          active: Boolean(webhook.active),
+        },
+        _.pick(fields, ["url", "events", "active"]),
+      ),
+      opts,
+    )
+
+    const row = {
+      url: updated.url,
+      events: JSON.stringify(_.uniq(updated.events)),
+      active: updated.active,
+      updated_at: updated.updatedAt,
+    }
+
+    await db("webhooks")
+      .update(row)
+      .where({ id: webhook.id })
+
+    ctx.body = { webhook: format(Object.assign({}, webhook, row)) }
+  },
+
+  async del(ctx) {
+    await db("webhooks")
+      .del()
+      .where({ id: ctx.params.webhook.id })
+
+    ctx.body = {}
+  },
+
+  deliveries: {
+    /**
+     * Lists the deliveries of a webhook, newest first, with the outcome of
+     * their latest attempt.
+     *
+     * @param {object} ctx - The Koa context object.
+     */
+    async get(ctx) {
+      const { webhook } = ctx.params
+
+      const query = db("webhook_deliveries")
+        .select()
+        .where({ webhook: webhook.id })
+
+      if (ctx.query.status) {
+        query.where({ status: ctx.query.status })
+      }
+
+      const page = cursor.page(
+        await cursor.apply(query, "webhook_deliveries", ctx.query),
+        ctx.query,
+      )
+
+      ctx.body = {
+        deliveries: page.rows.map(formatDelivery),
+        nextCursor: page.nextCursor,
+        prevCursor: page.prevCursor,
+      }
+    },
+  },
+}
@@ -18,6 +18,7 @@ const jwt = require("../middleware/jwt-middleware");
 const bodyParser = require("koa-bodyparser");
 const pagerMiddleware = require("../middleware/pager-middleware");
 const userMiddleware = require("../middleware/user-middleware");
+const rateLimit = require("../middleware/rate-limit-middleware");
 const routes = require("../routes");
 
 // Порядок middleware критически важен!
@@ -31,7 +32,14 @@ app.use(
     origin: "https://blog.greg-p.keenetic.pro",
     allowMethods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowHeaders: ["Authorization", "Content-Type"],
-    exposeHeaders: ["Authorization"],
+    exposeHeaders: [
+      "Authorization",
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "RateLimit-Policy",
+    ],
     credentials: true,
     maxAge: 86400, // Кэшировать предварительные запросы на 24 часа
   })
@@ -59,6 +67,7 @@ app.use(
   })
 );
 app.use(userMiddleware);
+app.use(rateLimit());
 app.use(pagerMiddleware);
 
 // Маршруты
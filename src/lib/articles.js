@@ -0,0 +1,411 @@
+const _ = require("lodash")
+const uuid = require("uuid")
+const humps = require("humps")
+const joinJs = require("join-js").default
+const db = require("./db")
+const { getSelect } = require("./utils")
+const { isUniqueViolation } = require("./errors")
+const markdown = require("./markdown")
+const { whereNotSilenced } = require("./blocks")
+const search = require("./search")
+const { normalize: normalizeTag, selectIds: selectTagIds } = require("./tags")
+const cursor = require("./cursor")
+const {
+  articleFields,
+  articleListFields,
+  userFields,
+  relationsMaps,
+} = require("./relations-map")
+
+/**
+ * Restricts a query on the `articles` table to articles readers can see:
+ * no drafts, no articles hidden by moderators, and scheduled articles only
+ * once their `publish_at` has passed.
+ *
+ * @param {Object} query - A knex query builder selecting from `articles`.
+ * @returns {Object} - The query builder.
+ */
+function wherePublished(query) {
+  return query
+    .whereNot("articles.status", "draft")
+    .where("articles.publish_at", "<=", new Date().toISOString())
+    .whereNull("articles.hidden_at")
+}
+
+/**
+ * Restricts a query on the `articles` table to drafts and to scheduled
+ * articles that are not published yet.
+ *
+ * @param {Object} query - A knex query builder selecting from `articles`.
+ * @returns {Object} - The query builder.
+ */
+function whereUnpublished(query) {
+  return query.where(function() {
+    this.where("articles.status", "draft").orWhere(
+      "articles.publish_at",
+      ">",
+      new Date().toISOString(),
+    )
+  })
+}
+
+/**
+ * Returns the status an article has right now. A scheduled article becomes
+ * published as soon as its `publish_at` has passed.
+ *
+ * @param {Object} article - An article with `status` and `publish_at`.
+ * @returns {string} - `draft`, `scheduled` or `published`.
+ */
+function getStatus(article) {
+  if (article.status === "draft") {
+    return "draft"
+  }
+
+  return new Date(article.publish_at) > new Date() ? "scheduled" : "published"
+}
+
+/**
+ * Loads complete articles for a page of article ids.
+ *
+ * List endpoints first select only the ids of the page, so `limit` counts
+ * articles rather than joined rows. This function then loads the articles
+ * with their authors, tags, favorited and bookmarked state in a fixed number
+ * of queries, each bounded by the size of the page. The body is left out
+ * unless asked for.
+ *
+ * @param {Object[]} rows - Rows with at least an `id`, in the order the
+ *   articles should be returned. A `snippet` column is copied over.
+ * @param {Object} [user] - The current user, if any.
+ * @param {Object} [options]
+ * @param {boolean} [options.withBody=false] - Whether to load `body` and
+ *   `body_html` as well.
+ * @returns {Promise<Object[]>} - The articles, in the order of `rows`.
+ */
+async function hydrate(rows, user, { withBody = false } = {}) {
+  const ids = rows.map(r => r.id)
+
+  if (!ids.length) {
+    return []
+  }
+
+  const [articles, tags, favorites, bookmarks] = await Promise.all([
+    db("articles")
+      .select(
+        ...getSelect(
+          "articles",
+          "article",
+          withBody ? articleFields : articleListFields,
+        ),
+        ...getSelect("users", "author", userFields),
+        "followers.id as author_following",
+      )
+      .whereIn("articles.id", ids)
+      .leftJoin("users", "articles.author", "users.id")
+      .leftJoin("followers", function() {
+        this.on(
+          "articles.author",
+          "=",
+          "followers.user",
+        ).onIn("followers.follower", [user && user.id])
+      }),
+
+    db("articles_tags")
+      .select("articles_tags.article", "tags.name")
+      .innerJoin("tags", "articles_tags.tag", "tags.id")
+      .whereIn("articles_tags.article", ids),
+
+    user
+      ? db("favorites")
+          .pluck("article")
+          .where({ user: user.id })
+          .whereIn("article", ids)
+      : [],
+
+    user
+      ? db("bookmarks")
+          .pluck("article")
+          .where({ user: user.id })
+          .whereIn("article", ids)
+      : [],
+  ])
+
+  const byId = _.keyBy(
+    joinJs.map(
+      articles,
+      relationsMaps,
+      withBody ? "articleMap" : "articleListMap",
+      "article_",
+    ),
+    "id",
+  )
+  const tagsByArticle = _.groupBy(tags, "article")
+  const favorited = new Set(favorites)
+  const bookmarked = new Set(bookmarks)
+
+  return rows
+    .filter(r => byId[r.id])
+    .map(r => {
+      const a = byId[r.id]
+      a.tagList = (tagsByArticle[a.id] || []).map(t => t.name)
+      a.favorited = favorited.has(a.id)
+      a.bookmarked = bookmarked.has(a.id)
+      a.status = getStatus(a)
+      parseRow(a)
+      a.author.following = Boolean(a.author.following)
+      delete a.author.id
+
+      if (r.snippet !== undefined) {
+        a.snippet = search.formatSnippet(r.snippet)
+      }
+
+      return a
+    })
+}
+
+/**
+ * Lists one page of the articles readers can see, newest first or, when
+ * `q` is given, by relevance.
+ *
+ * @param {Object} filters - The pager fields set by the pager middleware
+ *   (`offset`, `limit`, `cursor`) and the optional `tag`, `author`,
+ *   `favorited` and `q` filters.
+ * @param {Object} [user] - The current user, if any. Authors the user muted
+ *   or blocked are left out.
+ * @param {Object} [options] - Passed on to `hydrate`.
+ * @returns {Promise<Object>} - `{ articles, articlesCount, nextCursor,
+ *   prevCursor }`.
+ */
+async function listArticles(filters, user, options) {
+  const { offset, limit, tag, author, favorited, q } = filters
+  const terms = search.getTerms(q)
+
+  let pageQuery = whereNotSilenced(
+    wherePublished(db("articles").select("articles.id", "articles.created_at")),
+    "articles.author",
+    user,
+  )
+  let countQuery = whereNotSilenced(
+    wherePublished(db("articles").count()),
+    "articles.author",
+    user,
+  )
+
+  if (terms.length > 0) {
+    pageQuery = search
+      .rank(pageQuery, terms)
+      .limit(limit)
+      .offset(offset)
+    countQuery = search.filter(countQuery, terms)
+  } else {
+    pageQuery = cursor.apply(pageQuery, "articles", filters)
+  }
+
+  if (author && author.length > 0) {
+    const subQuery = db("users")
+      .select("id")
+      .whereIn("username", author)
+
+    pageQuery = pageQuery.andWhere("articles.author", "in", subQuery)
+    countQuery = countQuery.andWhere("articles.author", "in", subQuery)
+  }
+
+  if (favorited && favorited.length > 0) {
+    const subQuery = db("favorites")
+      .select("article")
+      .whereIn(
+        "user",
+        db("users")
+          .select("id")
+          .whereIn("username", favorited),
+      )
+
+    pageQuery = pageQuery.andWhere("articles.id", "in", subQuery)
+    countQuery = countQuery.andWhere("articles.id", "in", subQuery)
+  }
+
+  if (tag && tag.length > 0) {
+    const subQuery = db("articles_tags")
+      .select("article")
+      .whereIn("tag", selectTagIds(tag))
+
+    pageQuery = pageQuery.andWhere("articles.id", "in", subQuery)
+    countQuery = countQuery.andWhere("articles.id", "in", subQuery)
+  }
+
+  const [rows, [countRes]] = await Promise.all([pageQuery, countQuery])
+
+  const page = terms.length
+    ? { rows, nextCursor: null, prevCursor: null }
+    : cursor.page(rows, filters)
+
+  const articles = await hydrate(page.rows, user, options)
+
+  let articlesCount = countRes.count || countRes["count(*)"]
+  articlesCount = Number(articlesCount)
+
+  return {
+    articles,
+    articlesCount,
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+  }
+}
+
+/**
+ * Renders the Markdown body of an article and measures it. The result is
+ * stored with the article, so reads never render.
+ *
+ * @param {string} body - The Markdown body.
+ * @returns {Object} - `bodyHtml`, `wordCount`, `readingTimeMinutes` and `toc`.
+ */
+function renderBody(body) {
+  return Object.assign(
+    { bodyHtml: markdown.render(body) },
+    markdown.analyze(body),
+  )
+}
+
+/**
+ * Converts camelized article fields to a row of the `articles` table.
+ *
+ * @param {Object} fields - The fields to store.
+ * @returns {Object} - The row.
+ */
+function toRow(fields) {
+  const row = humps.decamelizeKeys(fields)
+
+  if (row.toc) {
+    row.toc = JSON.stringify(row.toc)
+  }
+
+  return row
+}
+
+/**
+ * Parses the stored columns of an article row in place.
+ *
+ * @param {Object} article - An article with the `articleFields` columns.
+ * @returns {Object} - The article.
+ */
+function parseRow(article) {
+  article.toc = JSON.parse(article.toc || "[]")
+  article.word_count = Number(article.word_count)
+  article.reading_time_minutes = Number(article.reading_time_minutes)
+
+  return article
+}
+
+/**
+ * Normalises a list of tag names and validates them with the tag schema.
+ *
+ * @param {Object} schemas - The app's schemas.
+ * @param {string[]} [tagList] - The tag names.
+ * @returns {Promise<Object[]>} - The validated tags.
+ */
+function validateTags(schemas, tagList = []) {
+  return Promise.all(
+    _.uniq(tagList.map(normalizeTag))
+      .filter(Boolean)
+      .map(t => ({ id: uuid(), name: t }))
+      .map(t => schemas.tag.validate(t, { abortEarly: false })),
+  )
+}
+
+/**
+ * Replaces the tags of an article, creating the tags that don't exist yet.
+ * Aliases are replaced by the tags they stand for.
+ *
+ * @param {string} articleId - The id of the article.
+ * @param {Object[]} validated - Tags returned by `validateTags`.
+ * @returns {Promise<string[]>} - The names of the article's tags.
+ */
+async function saveTags(articleId, validated) {
+  await db("articles_tags")
+    .del()
+    .where({ article: articleId })
+
+  if (!validated.length) {
+    return []
+  }
+
+  const names = validated.map(t => t.name)
+
+  const aliases = await db("tag_aliases")
+    .select("name", "tag")
+    .whereIn("name", names)
+  const aliasOf = _.fromPairs(aliases.map(a => [a.name, a.tag]))
+
+  for (const tag of validated.filter(t => !aliasOf[t.name])) {
+    try {
+      await db("tags").insert(humps.decamelizeKeys(tag))
+    } catch (err) {
+      if (!isUniqueViolation(err)) {
+        throw err
+      }
+    }
+  }
+
+  const saved = await db("tags")
+    .select("id", "name")
+    .whereIn("name", names)
+    .orWhereIn(
+      "id",
+      aliases.map(a => a.tag),
+    )
+  const byName = _.keyBy(saved, "name")
+  const byId = _.keyBy(saved, "id")
+
+  const resolved = _.uniqBy(
+    names.map(name => (aliasOf[name] ? byId[aliasOf[name]] : byName[name])),
+    "id",
+  )
+
+  await db("articles_tags").insert(
+    resolved.map(t => ({ id: uuid(), tag: t.id, article: articleId })),
+  )
+
+  return resolved.map(t => t.name)
+}
+
+/**
+ * Stores the current title, description, body and tags of an article as a
+ * new revision.
+ *
+ * @param {string} articleId - The id of the article.
+ * @param {string} userId - The id of the user who wrote this version.
+ */
+async function recordRevision(articleId, userId) {
+  const [article, tagList] = await Promise.all([
+    db("articles")
+      .first("title", "description", "body", "updated_at")
+      .where({ id: articleId }),
+    db("articles_tags")
+      .pluck("tags.name")
+      .innerJoin("tags", "articles_tags.tag", "tags.id")
+      .where({ "articles_tags.article": articleId }),
+  ])
+
+  await db("article_revisions").insert({
+    id: uuid(),
+    article: articleId,
+    author: userId,
+    title: article.title,
+    description: article.description,
+    body: article.body,
+    tag_list: JSON.stringify(tagList),
+    created_at: article.updated_at,
+    updated_at: article.updated_at,
+  })
+}
+
+exports.wherePublished = wherePublished
+exports.whereUnpublished = whereUnpublished
+exports.getStatus = getStatus
+exports.hydrate = hydrate
+exports.listArticles = listArticles
+exports.renderBody = renderBody
+exports.toRow = toRow
+exports.parseRow = parseRow
+exports.validateTags = validateTags
+exports.saveTags = saveTags
+exports.recordRevision = recordRevision
@@ -0,0 +1,68 @@
+const db = require("./db")
+
+/**
+ * Leaves out rows written by users the given user has muted or blocked.
+ *
+ * @param {Object} query - A knex query builder.
+ * @param {string} column - The column holding the id of the author.
+ * @param {Object} [user] - The current user, if any.
+ * @returns {Object} - The query builder.
+ */
+function whereNotSilenced(query, column, user) {
+  if (!user) {
+    return query
+  }
+
+  return query
+    .whereNotIn(
+      column,
+      db("mutes")
+        .select("user")
+        .where({ muter: user.id }),
+    )
+    .whereNotIn(
+      column,
+      db("blocks")
+        .select("user")
+        .where({ blocker: user.id }),
+    )
+}
+
+/**
+ * Tells whether any of the given users has blocked the user.
+ *
+ * @param {string[]} blockerIds - The ids of the possible blockers.
+ * @param {Object} user - The user who may be blocked.
+ * @returns {Promise<boolean>}
+ */
+async function isBlockedBy(blockerIds, user) {
+  const block = await db("blocks")
+    .first("id")
+    .where({ user: user.id })
+    .whereIn("blocker", blockerIds)
+
+  return Boolean(block)
+}
+
+/**
+ * Tells whether a user has muted or blocked another.
+ *
+ * @param {Object} user - The user who may have muted or blocked.
+ * @param {string} otherId - The id of the other user.
+ * @returns {Promise<boolean>}
+ */
+async function isSilencedBy(user, otherId) {
+  const other = await whereNotSilenced(
+    db("users")
+      .first("users.id")
+      .where("users.id", otherId),
+    "users.id",
+    user,
+  )
+
+  return !other
+}
+
+exports.whereNotSilenced = whereNotSilenced
+exports.isBlockedBy = isBlockedBy
+exports.isSilencedBy = isSilencedBy
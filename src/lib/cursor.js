@@ -0,0 +1,120 @@
+const _ = require("lodash")
+
+function toKey(value) {
+  return _.isDate(value) ? value.toISOString() : value
+}
+
+/**
+ * Encodes the position of a row into an opaque cursor.
+ *
+ * @param {Object} row - A row with `created_at` (or `createdAt`) and `id`.
+ * @returns {string} - The cursor.
+ */
+function encode(row) {
+  const createdAt = _.has(row, "created_at") ? row.created_at : row.createdAt
+  return Buffer.from(JSON.stringify([toKey(createdAt), row.id])).toString(
+    "base64",
+  )
+}
+
+/**
+ * Decodes a cursor produced by `encode`.
+ *
+ * @param {string} value - The cursor received from the client.
+ * @returns {?{createdAt: string, id: string}} - The position of the row, or
+ *   null when the cursor is malformed.
+ */
+function decode(value) {
+  let parsed
+
+  try {
+    parsed = JSON.parse(Buffer.from(String(value), "base64").toString())
+  } catch (err) {
+    parsed = null
+  }
+
+  if (
+    !Array.isArray(parsed) ||
+    parsed.length !== 2 ||
+    !parsed.every(p => _.isString(p) && p)
+  ) {
+    return null
+  }
+
+  return { createdAt: parsed[0], id: parsed[1] }
+}
+
+/**
+ * Applies keyset pagination on `(created_at, id)` to a query.
+ *
+ * Rows are ordered newest first. `after` walks to older rows and `before`
+ * walks to newer ones; the latter is read in ascending order, so `page`
+ * reverses it back. One extra row is fetched to tell whether more exist.
+ *
+ * @param {Object} query - A knex query builder.
+ * @param {string} table - The table holding `created_at` and `id`.
+ * @param {Object} pager - `{ limit, offset, cursor }` from the pager middleware.
+ * @returns {Object} - The query builder.
+ */
+function apply(query, table, { limit, offset, cursor }) {
+  const createdAt = `${table}.created_at`
+  const id = `${table}.id`
+
+  if (!cursor) {
+    return query
+      .orderBy(createdAt, "desc")
+      .orderBy(id, "desc")
+      .limit(limit + 1)
+      .offset(offset)
+  }
+
+  const op = cursor.direction === "after" ? "<" : ">"
+  const order = cursor.direction === "after" ? "desc" : "asc"
+
+  return query
+    .where(function() {
+      this.where(createdAt, op, cursor.createdAt).orWhere(function() {
+        this.where(createdAt, "=", cursor.createdAt).andWhere(id, op, cursor.id)
+      })
+    })
+    .orderBy(createdAt, order)
+    .orderBy(id, order)
+    .limit(limit + 1)
+}
+
+/**
+ * Trims the extra row fetched by `apply` and computes the cursors of the
+ * neighbouring pages.
+ *
+ * @param {Object[]} rows - Rows returned by a query built with `apply`.
+ * @param {Object} pager - `{ limit, offset, cursor }` from the pager middleware.
+ * @param {function} [getKey] - Maps a row to `{ created_at, id }` when the
+ *   columns are prefixed.
+ * @returns {{rows: Object[], nextCursor: ?string, prevCursor: ?string}}
+ */
+function page(rows, { limit, offset, cursor }, getKey = _.identity) {
+  const hasMore = rows.length > limit
+  rows = rows.slice(0, limit)
+
+  let hasNext = hasMore
+  let hasPrev = offset > 0
+
+  if (cursor && cursor.direction === "before") {
+    rows = rows.reverse()
+    hasNext = true
+    hasPrev = hasMore
+  } else if (cursor) {
+    hasPrev = true
+  }
+
+  return {
+    rows,
+    nextCursor: hasNext && rows.length ? encode(getKey(_.last(rows))) : null,
+    prevCursor: hasPrev && rows.length ? encode(getKey(_.first(rows))) : null,
+  }
+}
+
+exports.encode = encode
+exports.decode = decode
+exports.apply = apply
+exports.page = page
@@ -0,0 +1,118 @@
+// Finds the shortest edit script between a[offset..offset+n) and
+// b[offset..offset+m) with Myers' O(ND) algorithm. Returns null when it
+// takes more than `maxEdits` edits.
+function findEdits(a, b, offset, n, m, maxEdits) {
+  const max = Math.min(n + m, maxEdits)
+  const origin = max + 1
+  const v = new Int32Array(2 * max + 3)
+  // trace[d] holds the diagonals -d - 1 to d + 1 as they were before step d.
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(origin - d - 1, origin + d + 2))
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[origin + k - 1] < v[origin + k + 1])
+          ? v[origin + k + 1]
+          : v[origin + k - 1] + 1
+      let y = x - k
+
+      while (x < n && y < m && a[offset + x] === b[offset + y]) {
+        x++
+        y++
+      }
+
+      v[origin + k] = x
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, offset, n, m, trace)
+      }
+    }
+  }
+
+  return null
+}
+
+function backtrack(a, b, offset, n, m, trace) {
+  const edits = []
+  let x = n
+  let y = m
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const at = k => trace[d][k + d + 1]
+    const k = x - y
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1
+    const prevX = at(prevK)
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      edits.push({ op: "equal", line: a[offset + x - 1] })
+      x--
+      y--
+    }
+
+    if (x === prevX) {
+      edits.push({ op: "added", line: b[offset + y - 1] })
+    } else {
+      edits.push({ op: "removed", line: a[offset + x - 1] })
+    }
+
+    x = prevX
+    y = prevY
+  }
+
+  while (x > 0 && y > 0) {
+    edits.push({ op: "equal", line: a[offset + x - 1] })
+    x--
+    y--
+  }
+
+  return edits.reverse()
+}
+
+/**
+ * Computes a line diff between two texts with Myers' algorithm.
+ *
+ * Texts that need more than `maxEdits` line edits are not diffed line by
+ * line: the changed part of the old text is shown as removed and the
+ * changed part of the new text as added.
+ *
+ * @param {string} from - The old text.
+ * @param {string} to - The new text.
+ * @param {number} [maxEdits=Infinity] - The most line edits to look for.
+ * @returns {{op: string, line: string}[]} - The lines of both texts in
+ *   order, each marked as `equal`, `removed` or `added`.
+ */
+function diffLines(from, to, maxEdits = Infinity) {
+  const a = String(from).split("\n")
+  const b = String(to).split("\n")
+
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++
+  }
+
+  let endA = a.length
+  let endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--
+    endB--
+  }
+
+  const n = endA - start
+  const m = endB - start
+
+  const edits = findEdits(a, b, start, n, m, maxEdits) || [
+    ...a.slice(start, endA).map(line => ({ op: "removed", line })),
+    ...b.slice(start, endB).map(line => ({ op: "added", line })),
+  ]
+
+  return [
+    ...a.slice(0, start).map(line => ({ op: "equal", line })),
+    ...edits,
+    ...a.slice(endA).map(line => ({ op: "equal", line })),
+  ]
+}
+
+exports.diffLines = diffLines
@@ -66,12 +66,24 @@ class ServerError extends Error {
   }
 }
 
+/**
+ * Tells whether a database error is a unique constraint violation, on SQLite
+ * or PostgreSQL.
+ *
+ * @param {Error} err - The error thrown by a query.
+ * @returns {boolean}
+ */
+function isUniqueViolation(err) {
+  return parseInt(err.errno, 10) === 19 || parseInt(err.code, 10) === 23505
+}
+
 module.exports = {
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
   ValidationError,
   ServerError,
+  isUniqueViolation,
 }
 
 // module.exports = {
@@ -0,0 +1,160 @@
+const config = require("config")
+const _ = require("lodash")
+
+/**
+ * Builds RSS 2.0 and Atom documents from lists of articles.
+ *
+ * Links are absolute, built from the `server.domain` config key, which may
+ * be a bare host name (https is assumed) or a full origin.
+ */
+
+const entities = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+}
+
+function escapeXml(value) {
+  return String(value == null ? "" : value).replace(
+    /[&<>"']/g,
+    c => entities[c],
+  )
+}
+
+/**
+ * Returns an absolute URL on the site.
+ *
+ * @param {string} path - The path, starting with `/`.
+ * @returns {string}
+ */
+function absoluteUrl(path) {
+  const domain = config.get("server.domain").replace(/\/+$/, "")
+  const origin = /^https?:\/\//.test(domain) ? domain : `https://${domain}`
+
+  return `${origin}${path}`
+}
+
+function articleUrl(article) {
+  return absoluteUrl(`/article/${encodeURIComponent(article.slug)}`)
+}
+
+function profileUrl(username) {
+  return absoluteUrl(`/profile/${encodeURIComponent(username)}`)
+}
+
+function getPublished(article) {
+  return new Date(article.publish_at || article.created_at)
+}
+
+function getUpdated(article) {
+  return _.max([new Date(article.updated_at), getPublished(article)])
+}
+
+/**
+ * Returns when the newest of the articles last changed, or null when there
+ * are none.
+ *
+ * @param {Object[]} articles - Articles returned by `hydrate`.
+ * @returns {?Date}
+ */
+function lastModified(articles) {
+  return articles.length ? _.max(articles.map(getUpdated)) : null
+}
+
+/**
+ * Renders an RSS 2.0 document.
+ *
+ * @param {Object} feed
+ * @param {string} feed.title - The title of the feed.
+ * @param {string} feed.description - A description of the feed.
+ * @param {string} feed.link - The page the feed mirrors.
+ * @param {string} feed.self - The URL of the feed itself.
+ * @param {Object[]} feed.articles - Articles returned by `hydrate`.
+ * @returns {string}
+ */
+function rss({ title, description, link, self, articles }) {
+  const updated = lastModified(articles) || new Date(0)
+
+  const items = articles.map(a =>
+    [
+      "    <item>",
+      `      <title>${escapeXml(a.title)}</title>`,
+      `      <link>${escapeXml(articleUrl(a))}</link>`,
+      `      <guid isPermaLink="false">urn:uuid:${escapeXml(a.id)}</guid>`,
+      `      <dc:creator>${escapeXml(a.author.username)}</dc:creator>`,
+      ...a.tagList.map(t => `      <category>${escapeXml(t)}</category>`),
+      `      <description>${escapeXml(a.description)}</description>`,
+      `      <pubDate>${getPublished(a).toUTCString()}</pubDate>`,
+      "    </item>",
+    ].join("\n"),
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    "  <channel>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(link)}</link>`,
+    `    <description>${escapeXml(description)}</description>`,
+    `    <atom:link href="${escapeXml(
+      self,
+    )}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n")
+}
+
+/**
+ * Renders an Atom document. Takes the same fields as `rss`.
+ *
+ * @param {Object} feed
+ * @returns {string}
+ */
+function atom({ title, description, link, self, articles }) {
+  const updated = lastModified(articles) || new Date(0)
+
+  const entries = articles.map(a =>
+    [
+      "  <entry>",
+      `    <id>urn:uuid:${escapeXml(a.id)}</id>`,
+      `    <title>${escapeXml(a.title)}</title>`,
+      `    <link rel="alternate" href="${escapeXml(articleUrl(a))}"/>`,
+      `    <published>${getPublished(a).toISOString()}</published>`,
+      `    <updated>${getUpdated(a).toISOString()}</updated>`,
+      "    <author>",
+      `      <name>${escapeXml(a.author.username)}</name>`,
+      `      <uri>${escapeXml(profileUrl(a.author.username))}</uri>`,
+      "    </author>",
+      ...a.tagList.map(t => `    <category term="${escapeXml(t)}"/>`),
+      `    <summary>${escapeXml(a.description)}</summary>`,
+      `    <content type="html">${escapeXml(a.body_html)}</content>`,
+      "  </entry>",
+    ].join("\n"),
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(self)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <subtitle>${escapeXml(description)}</subtitle>`,
+    `  <link rel="alternate" href="${escapeXml(link)}"/>`,
+    `  <link rel="self" href="${escapeXml(self)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n")
+}
+
+exports.escapeXml = escapeXml
+exports.absoluteUrl = absoluteUrl
+exports.profileUrl = profileUrl
+exports.lastModified = lastModified
+exports.rss = rss
+exports.atom = atom
@@ -0,0 +1,284 @@
+const crypto = require("crypto")
+const config = require("config")
+const uuid = require("uuid")
+const bcrypt = require("bcryptjs")
+const db = require("./db")
+const logger = require("./logger")
+const { isUniqueViolation } = require("./errors")
+
+/**
+ * Brute-force protection for logins.
+ *
+ * Login attempts are counted per account, by the email that was tried, and
+ * per IP address. An attempt is counted before the password is compared and
+ * only taken back when it succeeds, so parallel guesses count as well. Once
+ * a count passes `freeAttempts`, each further attempt has to wait
+ * `login.delayMs`, doubling with every failure up to `login.maxDelayMs`. At
+ * `maxAttempts` the account or address is locked for `login.lockoutMs`.
+ * Counts start over `login.resetMs` after the last attempt, and a
+ * successful login clears the count of its account.
+ *
+ * Emails are counted whether or not an account has them, so the responses
+ * are the same either way. The count of an account is skipped for addresses
+ * its user logged in from before, so others can't lock them out.
+ */
+
+// How often `reserve` retries when another attempt changed a count first.
+const maxRaces = 5
+
+let timer = null
+let dummyHash = null
+
+// Emails are only stored hashed: people sometimes type a password there.
+function hashKey(key) {
+  return crypto
+    .createHash("sha256")
+    .update(key)
+    .digest("hex")
+}
+
+async function isTrusted(email, ip) {
+  const login = await db("logins")
+    .first("logins.id")
+    .innerJoin("users", "logins.user", "users.id")
+    .where({ "users.email": email, "logins.ip": ip })
+
+  return Boolean(login)
+}
+
+async function getKeys(email, ip) {
+  const name = String(email)
+    .trim()
+    .toLowerCase()
+
+  const account = {
+    key: hashKey(`account:${name}`),
+    limits: config.get("login.account"),
+    account: true,
+  }
+  const address = { key: hashKey(`ip:${ip}`), limits: config.get("login.ip") }
+
+  return (await isTrusted(email, ip)) ? [address] : [account, address]
+}
+
+function isExpired(row, now) {
+  return now - Date.parse(row.last_failed_at) >= config.get("login.resetMs")
+}
+
+function getWaitMs(row, limits, now) {
+  if (!row) {
+    return 0
+  }
+
+  const lockedUntil = row.locked_until ? Date.parse(row.locked_until) : 0
+
+  if (lockedUntil > now) {
+    return lockedUntil - now
+  }
+
+  const excess = row.failures - limits.freeAttempts
+
+  if (isExpired(row, now) || excess < 0) {
+    return 0
+  }
+
+  const delayMs = Math.min(
+    config.get("login.maxDelayMs"),
+    config.get("login.delayMs") * 2 ** excess,
+  )
+
+  return Math.max(0, Date.parse(row.last_failed_at) + delayMs - now)
+}
+
+// Counts an attempt unless another one changed the count since `row` was
+// read. Resolves to whether it did.
+async function count({ key, limits }, row, now) {
+  const failures = row && !isExpired(row, now) ? row.failures + 1 : 1
+  const values = {
+    failures,
+    last_failed_at: new Date(now).toISOString(),
+    locked_until:
+      failures >= limits.maxAttempts
+        ? new Date(now + config.get("login.lockoutMs")).toISOString()
+        : null,
+  }
+
+  if (!row) {
+    try {
+      await db("login_failures").insert(
+        Object.assign({ id: uuid(), key }, values),
+      )
+      return true
+    } catch (err) {
+      if (!isUniqueViolation(err)) {
+        throw err
+      }
+
+      return false
+    }
+  }
+
+  const updated = await db("login_failures")
+    .update(values)
+    .where({
+      key,
+      failures: row.failures,
+      last_failed_at: row.last_failed_at,
+    })
+
+  return updated > 0
+}
+
+async function reserveKey(key) {
+  for (let race = 0; race < maxRaces; race++) {
+    const now = Date.now()
+    const row = await db("login_failures")
+      .first()
+      .where({ key: key.key })
+
+    const waitMs = getWaitMs(row, key.limits, now)
+
+    if (waitMs > 0) {
+      return waitMs
+    }
+
+    if (await count(key, row, now)) {
+      return 0
+    }
+  }
+
+  return config.get("login.delayMs")
+}
+
+async function release(keys) {
+  for (const { key, account } of keys) {
+    if (account) {
+      await db("login_failures")
+        .del()
+        .where({ key })
+    } else {
+      await db("login_failures")
+        .update({ failures: db.raw("?? - 1", ["failures"]) })
+        .where({ key })
+        .where("failures", ">", 0)
+    }
+  }
+}
+
+/**
+ * Counts a login attempt against the account and the IP address, unless
+ * the client has to wait before trying again.
+ *
+ * @param {string} email - The email the client tries to log in with.
+ * @param {string} ip - The IP address of the client.
+ * @returns {Promise<Object>} - The milliseconds to wait (`waitMs`), 0 when
+ *   the attempt was counted and may go ahead, and the counted `keys` to
+ *   pass to `succeed`.
+ */
+async function reserve(email, ip) {
+  const keys = []
+
+  for (const key of await getKeys(email, ip)) {
+    const waitMs = await reserveKey(key)
+
+    if (waitMs > 0) {
+      await release(keys)
+      return { waitMs, keys: [] }
+    }
+
+    keys.push(key)
+  }
+
+  return { waitMs: 0, keys }
+}
+
+/**
+ * Takes back a successful attempt: the count of its account is cleared and
+ * the one of its IP address lowered again.
+ *
+ * @param {Object} attempt - The attempt returned by `reserve`.
+ */
+async function succeed(attempt) {
+  await release(attempt.keys)
+}
+
+/**
+ * Adds a login to the history of its user.
+ *
+ * @param {Object} user - The user who logged in.
+ * @param {Object} client - The `ip` and `userAgent` of the client.
+ */
+async function recordLogin(user, { ip, userAgent }) {
+  await db("logins").insert({
+    id: uuid(),
+    user: user.id,
+    ip,
+    user_agent: userAgent ? String(userAgent).slice(0, 1000) : null,
+  })
+}
+
+/**
+ * Compares a password with a hash. Without a hash, e.g. for an unknown
+ * email, it is compared with a made-up one, so that the response takes as
+ * long as for a known email.
+ *
+ * @param {string} password - The password that was tried.
+ * @param {?string} hash - The password hash of the account, if any.
+ * @returns {Promise<boolean>} - Whether the password matches the hash.
+ */
+async function comparePassword(password, hash) {
+  if (!hash) {
+    dummyHash = dummyHash || bcrypt.hash(uuid(), 10)
+
+    await bcrypt.compare(String(password), await dummyHash)
+    return false
+  }
+
+  return bcrypt.compare(String(password), hash)
+}
+
+/**
+ * Deletes the counts of failed logins that have started over.
+ */
+async function prune() {
+  const since = new Date(Date.now() - config.get("login.resetMs"))
+
+  await db("login_failures")
+    .del()
+    .where("last_failed_at", "<", since.toISOString())
+    .where(function() {
+      this.whereNull("locked_until").orWhere(
+        "locked_until",
+        "<",
+        new Date().toISOString(),
+      )
+    })
+}
+
+/**
+ * Starts pruning old counts of failed logins every `login.pruneMs`.
+ */
+function start() {
+  if (timer) {
+    return
+  }
+
+  timer = setInterval(() => {
+    prune().catch(err => logger.error(err))
+  }, config.get("login.pruneMs"))
+
+  timer.unref()
+}
+
+function stop() {
+  clearInterval(timer)
+  timer = null
+}
+
+exports.reserve = reserve
+exports.succeed = succeed
+exports.recordLogin = recordLogin
+exports.comparePassword = comparePassword
+exports.prune = prune
+exports.start = start
+exports.stop = stop
@@ -0,0 +1,115 @@
+const MarkdownIt = require("markdown-it")
+const sanitizeHtml = require("sanitize-html")
+const slug = require("slug")
+const config = require("config")
+
+const md = new MarkdownIt({ linkify: true })
+
+// Gives every heading an id made from its text, unique within the document,
+// so readers can link to sections.
+md.core.ruler.push("heading_anchors", function(state) {
+  const used = {}
+
+  state.tokens.forEach((token, i) => {
+    if (token.type !== "heading_open") {
+      return
+    }
+
+    const base = slug(state.tokens[i + 1].content, { lower: true }) || "section"
+    const id = used[base] ? `${base}-${used[base]}` : base
+
+    used[base] = (used[base] || 0) + 1
+    token.attrSet("id", id)
+  })
+})
+
+const allowlist = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(["h1", "h2", "img"]),
+  allowedAttributes: {
+    a: ["href", "title", "rel"],
+    img: ["src", "alt", "title"],
+    code: ["class"],
+    h1: ["id"],
+    h2: ["id"],
+    h3: ["id"],
+    h4: ["id"],
+    h5: ["id"],
+    h6: ["id"],
+    ol: ["start"],
+    th: ["style"],
+    td: ["style"],
+  },
+  allowedClasses: {
+    code: ["language-*"],
+  },
+  allowedStyles: {
+    "*": {
+      "text-align": [/^(left|right|center)$/],
+    },
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "nofollow noopener" }),
+  },
+}
+
+/**
+ * Renders Markdown to HTML that is safe to insert into a page: raw HTML in
+ * the source is escaped and the output is sanitised against an allowlist.
+ *
+ * @param {string} source - The Markdown.
+ * @returns {string} - The HTML.
+ */
+function render(source) {
+  return sanitizeHtml(md.render(source || ""), allowlist)
+}
+
+const wordPattern = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu
+
+function countWords(text) {
+  return (text.match(wordPattern) || []).length
+}
+
+/**
+ * Measures a Markdown document and outlines its headings.
+ *
+ * Words are counted in the rendered text, so markup and link targets don't
+ * count. Heading anchors match the ids `render` gives the headings.
+ *
+ * @param {string} source - The Markdown.
+ * @returns {{wordCount: number, readingTimeMinutes: number, toc: Object[]}}
+ *   The `toc` lists `{ level, text, anchor }` for every heading, in order.
+ */
+function analyze(source) {
+  const tokens = md.parse(source || "", {})
+  const toc = []
+  let wordCount = 0
+
+  tokens.forEach((token, i) => {
+    if (token.type === "inline") {
+      wordCount += token.children
+        .filter(c => c.type === "text" || c.type === "code_inline")
+        .reduce((sum, c) => sum + countWords(c.content), 0)
+    } else if (token.type === "fence" || token.type === "code_block") {
+      wordCount += countWords(token.content)
+    } else if (token.type === "heading_open") {
+      toc.push({
+        level: Number(token.tag.slice(1)),
+        text: tokens[i + 1].children
+          .filter(c => c.type === "text" || c.type === "code_inline")
+          .map(c => c.content)
+          .join(""),
+        anchor: token.attrGet("id"),
+      })
+    }
+  })
+
+  const readingTimeMinutes = Math.ceil(
+    wordCount / config.get("articles.wordsPerMinute"),
+  )
+
+  return { wordCount, readingTimeMinutes, toc }
+}
+
+exports.render = render
+exports.analyze = analyze
@@ -0,0 +1,127 @@
+const dns = require("dns")
+const net = require("net")
+const config = require("config")
+
+/**
+ * Guards requests the server sends on behalf of users, such as webhook
+ * deliveries, against reaching the server's own network.
+ *
+ * Addresses in `network.deniedNetworks` (loopback, link-local, private and
+ * unique-local ranges by default) are refused, unless the host is listed in
+ * `network.allowedHosts`. Host names are checked when they are resolved, so
+ * each connection is checked against the address it actually goes to.
+ */
+
+let deniedNetworks = null
+
+function getDeniedNetworks() {
+  if (!deniedNetworks) {
+    deniedNetworks = new net.BlockList()
+
+    config.get("network.deniedNetworks").forEach(cidr => {
+      const [address, prefix] = cidr.split("/")
+      const type = net.isIPv6(address) ? "ipv6" : "ipv4"
+
+      deniedNetworks.addSubnet(
+        address,
+        Number(prefix || (type === "ipv6" ? 128 : 32)),
+        type,
+      )
+    })
+  }
+
+  return deniedNetworks
+}
+
+// Host names are compared without case and without a trailing dot.
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/\.+$/, "")
+}
+
+function isAllowedHost(hostname) {
+  return config
+    .get("network.allowedHosts")
+    .map(normalizeHost)
+    .includes(normalizeHost(hostname))
+}
+
+/**
+ * Tells whether an IP address is in one of the denied networks.
+ *
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function isDeniedAddress(address) {
+  const type = net.isIPv6(address) ? "ipv6" : "ipv4"
+
+  return getDeniedNetworks().check(address, type)
+}
+
+/**
+ * Tells whether a URL may be requested without resolving its host: its host
+ * is allowed, or is a name, or is an address outside the denied networks.
+ *
+ * @param {string} url - The URL.
+ * @returns {boolean}
+ */
+function isAllowedUrl(url) {
+  let hostname
+
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, "")
+  } catch (err) {
+    return false
+  }
+
+  if (isAllowedHost(hostname)) {
+    return true
+  }
+
+  if (net.isIP(hostname)) {
+    return !isDeniedAddress(hostname)
+  }
+
+  return normalizeHost(hostname) !== "localhost"
+}
+
+/**
+ * Resolves a host name like `dns.lookup`, failing when it resolves to a
+ * denied address. Pass it as the `lookup` option of a request.
+ */
+function lookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options
+    options = {}
+  }
+
+  options = typeof options === "number" ? { family: options } : options
+
+  dns.lookup(
+    hostname,
+    Object.assign({}, options, { all: true }),
+    (err, addresses) => {
+      if (err) {
+        return callback(err)
+      }
+
+      if (
+        !isAllowedHost(hostname) &&
+        addresses.some(a => isDeniedAddress(a.address))
+      ) {
+        const denied = new Error(`${hostname} is not an allowed address`)
+        denied.code = "EADDRNOTALLOWED"
+        return callback(denied)
+      }
+
+      if (options.all) {
+        return callback(null, addresses)
+      }
+
+      callback(null, addresses[0].address, addresses[0].family)
+    },
+  )
+}
+
+exports.isDeniedAddress = isDeniedAddress
+exports.isAllowedUrl = isAllowedUrl
+exports.lookup = lookup
@@ -0,0 +1,134 @@
+const uuid = require("uuid")
+const db = require("./db")
+const stream = require("./stream")
+const { isUniqueViolation } = require("./errors")
+const { whereNotSilenced, isSilencedBy } = require("./blocks")
+
+const types = {
+  follow: "follow",
+  favorite: "favorite",
+  comment: "comment",
+}
+
+/**
+ * Selects the notifications of a user with their actor, article and comment.
+ * Notifications about comments hidden by moderators and from users the
+ * recipient muted or blocked are left out.
+ *
+ * @param {string} userId - The id of the recipient.
+ * @returns {Object} - A knex query builder.
+ */
+function selectNotifications(userId) {
+  const query = db("notifications")
+    .select(
+      "notifications.id",
+      "notifications.type",
+      "notifications.read_at",
+      "notifications.created_at",
+      "actors.username as actor_username",
+      "actors.bio as actor_bio",
+      "actors.image as actor_image",
+      "articles.slug as article_slug",
+      "articles.title as article_title",
+      "comments.id as comment_id",
+      "comments.body as comment_body",
+    )
+    .innerJoin("users as actors", "notifications.actor", "actors.id")
+    .leftJoin("articles", "notifications.article", "articles.id")
+    .leftJoin("comments", "notifications.comment", "comments.id")
+    .where("notifications.user", userId)
+    .where(function() {
+      this.whereNull("notifications.comment").orWhereNull("comments.hidden_at")
+    })
+
+  return whereNotSilenced(query, "notifications.actor", { id: userId })
+}
+
+/**
+ * Formats a row selected by `selectNotifications` for the API.
+ *
+ * @param {Object} row - The row.
+ * @returns {Object} - The notification.
+ */
+function format(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    read: Boolean(row.read_at),
+    createdAt: row.created_at,
+    actor: {
+      username: row.actor_username,
+      bio: row.actor_bio,
+      image: row.actor_image,
+    },
+    article: row.article_slug
+      ? { slug: row.article_slug, title: row.article_title }
+      : null,
+    comment: row.comment_id
+      ? { id: row.comment_id, body: row.comment_body }
+      : null,
+  }
+}
+
+/**
+ * Records a notification for `user` about something `actor` did.
+ *
+ * Nothing is recorded when users act on their own content or the recipient
+ * muted or blocked the actor. Follows and favorites are recorded once per
+ * actor and target, so unfollowing and following again doesn't notify
+ * twice. Recorded notifications are pushed to the recipient's live stream.
+ *
+ * @param {Object} notification
+ * @param {string} notification.user - The id of the recipient.
+ * @param {string} notification.actor - The id of the user who acted.
+ * @param {string} notification.type - One of `types`.
+ * @param {string} [notification.article] - The id of the article involved.
+ * @param {string} [notification.comment] - The id of the comment involved.
+ * @returns {Promise<?Object>} - The notification, or null if none was
+ *   recorded.
+ */
+async function notify({ user, actor, type, article = null, comment = null }) {
+  if (user === actor || (await isSilencedBy({ id: user }, actor))) {
+    return null
+  }
+
+  const now = new Date().toISOString()
+  const notification = {
+    id: uuid(),
+    user,
+    actor,
+    type,
+    article,
+    comment,
+    dedupe_key:
+      type === types.comment
+        ? null
+        : `${type}:${user}:${actor}:${article || ""}`,
+    created_at: now,
+    updated_at: now,
+  }
+
+  try {
+    await db("notifications").insert(notification)
+  } catch (err) {
+    if (!isUniqueViolation(err)) {
+      throw err
+    }
+
+    return null
+  }
+
+  const row = await selectNotifications(user).where(
+    "notifications.id",
+    notification.id,
+  )
+
+  stream.publish("notification", { notification: format(row[0]) }, [user])
+
+  return notification
+}
+
+exports.types = types
+exports.notify = notify
+exports.selectNotifications = selectNotifications
+exports.format = format
@@ -0,0 +1,111 @@
+const config = require("config")
+const db = require("./db")
+
+const roles = {
+  user: "user",
+  moderator: "moderator",
+  admin: "admin",
+}
+
+const owners = {
+  article: article => article.author.id,
+  comment: comment => comment.author,
+  webhook: webhook => webhook.owner,
+  list: list => list.owner,
+  series: series => series.author,
+}
+
+function isStaff(user) {
+  return user.role === roles.moderator || user.role === roles.admin
+}
+
+/**
+ * Tells whether a user is currently suspended by a moderator.
+ *
+ * @param {Object} user - The user, with `suspended_until`.
+ * @returns {boolean}
+ */
+function isSuspended(user) {
+  return (
+    Boolean(user.suspended_until) && new Date(user.suspended_until) > new Date()
+  )
+}
+
+function isOwner(user, resource, object) {
+  return Boolean(object) && owners[resource](object) === user.id
+}
+
+const ownerOrStaff = (user, resource, object) =>
+  isOwner(user, resource, object) || isStaff(user)
+
+const policies = {
+  article: {
+    update: ownerOrStaff,
+    delete: ownerOrStaff,
+    readRevisions: isOwner,
+    restoreRevision: isOwner,
+  },
+  comment: {
+    update: ownerOrStaff,
+    delete: ownerOrStaff,
+    readRevisions: ownerOrStaff,
+  },
+  webhook: {
+    read: isOwner,
+    update: isOwner,
+    delete: isOwner,
+  },
+  list: {
+    read: isOwner,
+    update: isOwner,
+    delete: isOwner,
+  },
+  series: {
+    update: isOwner,
+    delete: isOwner,
+  },
+}
+
+/**
+ * Tells whether a user may perform an action on a resource.
+ *
+ * @param {Object} user - The user, with `id` and `role`.
+ * @param {string} action - The action, e.g. `update`.
+ * @param {string} resource - The kind of resource, e.g. `article`.
+ * @param {Object} [object] - The resource itself, used for ownership checks.
+ * @returns {boolean}
+ */
+function can(user, action, resource, object) {
+  const policy = policies[resource] && policies[resource][action]
+
+  if (!user || !policy) {
+    return false
+  }
+
+  return policy(user, resource, object)
+}
+
+/**
+ * Makes admins of the users whose email is listed in `auth.adminEmails`, so
+ * that a new site can get its first admin. Called when the server starts.
+ *
+ * @returns {Promise<number>} - The number of users made admins.
+ */
+function grantAdmins() {
+  const emails = config.get("auth.adminEmails")
+
+  if (!emails.length) {
+    return Promise.resolve(0)
+  }
+
+  return db("users")
+    .update({ role: roles.admin, updated_at: new Date().toISOString() })
+    .whereIn("email", emails)
+    .whereNot("role", roles.admin)
+}
+
+exports.roles = roles
+exports.isStaff = isStaff
+exports.isSuspended = isSuspended
+exports.can = can
+exports.grantAdmins = grantAdmins
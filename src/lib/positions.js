@@ -0,0 +1,79 @@
+const _ = require("lodash")
+const db = require("./db")
+
+/**
+ * Helpers for ordered collections of articles, such as reading lists and
+ * series. Their tables hold one row per article with an integer `position`;
+ * positions only need to sort, so removing an article leaves a gap.
+ */
+
+function scoped(table, scope) {
+  return _.mapKeys(scope, (value, key) => `${table}.${key}`)
+}
+
+/**
+ * Returns the position that puts a new article last in a collection.
+ *
+ * @param {string} table - The table, e.g. `reading_list_items`.
+ * @param {Object} scope - The collection, e.g. `{ list: id }`.
+ * @returns {Promise<number>}
+ */
+async function next(table, scope) {
+  const [{ position }] = await db(table)
+    .max("position as position")
+    .where(scope)
+
+  return position == null ? 0 : Number(position) + 1
+}
+
+/**
+ * Reorders a collection. The given articles move to the top in the given
+ * order; the others keep their order after them.
+ *
+ * @param {string} table - The table, e.g. `reading_list_items`.
+ * @param {Object} scope - The collection, e.g. `{ list: id }`.
+ * @param {string[]} slugs - Slugs of articles in the collection.
+ * @returns {Promise<boolean>} - False, without changing anything, when a
+ *   slug is not in the collection.
+ */
+async function reorder(table, scope, slugs) {
+  const items = await db(table)
+    .select(`${table}.id`, `${table}.position`, "articles.slug")
+    .innerJoin("articles", `${table}.article`, "articles.id")
+    .where(scoped(table, scope))
+    .orderBy(`${table}.position`, "asc")
+
+  const bySlug = _.keyBy(items, "slug")
+  const first = _.uniq(slugs.map(String))
+
+  if (!first.every(s => bySlug[s])) {
+    return false
+  }
+
+  const moved = first
+    .map(s => bySlug[s])
+    .concat(items.filter(i => !first.includes(i.slug)))
+    .map((item, position) => ({
+      id: item.id,
+      position,
+      previous: Number(item.position),
+    }))
+    .filter(m => m.position !== m.previous)
+
+  const now = new Date().toISOString()
+
+  for (const chunk of _.chunk(moved, 100)) {
+    await Promise.all(
+      chunk.map(m =>
+        db(table)
+          .update({ position: m.position, updated_at: now })
+          .where({ id: m.id }),
+      ),
+    )
+  }
+
+  return true
+}
+
+exports.next = next
+exports.reorder = reorder
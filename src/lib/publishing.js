@@ -0,0 +1,122 @@
+const _ = require("lodash")
+const humps = require("humps")
+const config = require("config")
+const db = require("./db")
+const logger = require("./logger")
+const stream = require("./stream")
+const webhooks = require("./webhooks")
+const { wherePublished, hydrate } = require("./articles")
+
+/**
+ * Announcing published articles.
+ *
+ * An article is announced once, when it goes live: it is pushed to the live
+ * streams of its author's followers and sent to webhooks as
+ * `article.created`. Articles published right away are announced by the
+ * request that publishes them; scheduled articles by `announceDue`, which
+ * runs every `publishing.pollMs`. `articles.announced_at` records that an
+ * article was announced, so neither announces it twice.
+ */
+
+// How many due articles `announceDue` loads at a time.
+const batchSize = 100
+
+let timer = null
+
+/**
+ * Returns an article as it is sent to webhooks.
+ *
+ * @param {Object} article - The article, with camelized keys.
+ * @returns {Object} - The payload.
+ */
+function toWebhookPayload(article) {
+  return {
+    article: Object.assign(
+      _.pick(article, [
+        "slug",
+        "title",
+        "description",
+        "body",
+        "bodyHtml",
+        "tagList",
+        "publishAt",
+        "createdAt",
+        "updatedAt",
+      ]),
+      { author: _.pick(article.author, ["username", "bio", "image"]) },
+    ),
+  }
+}
+
+/**
+ * Announces a published article unless it was announced before.
+ *
+ * @param {Object} article - The article, with camelized keys.
+ * @param {string} authorId - The id of its author.
+ * @returns {Promise<boolean>} - Whether the article was announced now.
+ */
+async function announce(article, authorId) {
+  const claimed = await db("articles")
+    .update({ announced_at: new Date().toISOString() })
+    .where({ id: article.id })
+    .whereNull("announced_at")
+
+  if (!claimed) {
+    return false
+  }
+
+  await stream.articlePublished(article, authorId)
+  await webhooks.trigger("article.created", toWebhookPayload(article), authorId)
+
+  return true
+}
+
+/**
+ * Announces the scheduled articles that have gone live since the last run.
+ */
+async function announceDue() {
+  for (;;) {
+    const rows = await wherePublished(
+      db("articles").select("articles.id", "articles.author"),
+    )
+      .whereNull("articles.announced_at")
+      .orderBy("articles.publish_at")
+      .limit(batchSize)
+
+    const authors = _.fromPairs(rows.map(r => [r.id, r.author]))
+
+    for (const article of await hydrate(rows, null, { withBody: true })) {
+      await announce(humps.camelizeKeys(article), authors[article.id])
+    }
+
+    if (rows.length < batchSize) {
+      return
+    }
+  }
+}
+
+/**
+ * Starts announcing due articles every `publishing.pollMs`.
+ */
+function start() {
+  if (timer) {
+    return
+  }
+
+  timer = setInterval(() => {
+    announceDue().catch(err => logger.error(err))
+  }, config.get("publishing.pollMs"))
+
+  timer.unref()
+}
+
+function stop() {
+  clearInterval(timer)
+  timer = null
+}
+
+exports.toWebhookPayload = toWebhookPayload
+exports.announce = announce
+exports.announceDue = announceDue
+exports.start = start
+exports.stop = stop
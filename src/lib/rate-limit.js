@@ -0,0 +1,241 @@
+const config = require("config")
+const db = require("./db")
+const logger = require("./logger")
+const { isUniqueViolation } = require("./errors")
+
+/**
+ * Rate limiting with token buckets.
+ *
+ * Each policy in `rateLimit.policies` gives a bucket of `capacity` tokens
+ * that refills completely over `windowMs`. Every request takes a token from
+ * the bucket of its policy and client; a request that finds it empty is
+ * refused until a token has refilled.
+ *
+ * Buckets live in a store. The `memory` store only limits the current
+ * process; the `database` store shares buckets between processes through
+ * the `rate_limits` table. Another store, e.g. one backed by Redis, can be
+ * plugged in with `setStore`.
+ *
+ * A store has two methods:
+ *
+ * - `update(key, change)` calls `change` with the bucket under `key`, or
+ *   null, and saves the bucket it returns, if any. When another request
+ *   changed the bucket in between, it saves nothing and resolves to false.
+ * - `prune(now)` deletes the buckets that have expired by `now`.
+ *
+ * A bucket is `{ tokens, refilledAt, expiresAt }`, with times in
+ * milliseconds. It expires once it would be full again.
+ */
+
+// How often `take` retries when another request changed the bucket first.
+const maxAttempts = 5
+
+let store = null
+let timer = null
+
+function createMemoryStore() {
+  const buckets = new Map()
+
+  return {
+    // Reads and writes without yielding, so requests can't interleave.
+    async update(key, change) {
+      const bucket = change(buckets.get(key) || null)
+
+      if (bucket) {
+        buckets.set(key, bucket)
+      }
+
+      return true
+    },
+
+    async prune(now) {
+      buckets.forEach((bucket, key) => {
+        if (bucket.expiresAt <= now) {
+          buckets.delete(key)
+        }
+      })
+    },
+  }
+}
+
+// Writes only if the version read is still current, so a bucket another
+// request changed in between is not overwritten.
+function createDatabaseStore() {
+  return {
+    async update(key, change) {
+      const row = await db("rate_limits")
+        .first()
+        .where({ key })
+
+      const bucket = change(
+        row
+          ? {
+              tokens: Number(row.tokens),
+              refilledAt: Number(row.refilled_at),
+              expiresAt: Number(row.expires_at),
+            }
+          : null,
+      )
+
+      if (!bucket) {
+        return true
+      }
+
+      const values = {
+        tokens: bucket.tokens,
+        refilled_at: bucket.refilledAt,
+        expires_at: bucket.expiresAt,
+      }
+
+      if (!row) {
+        try {
+          await db("rate_limits").insert(
+            Object.assign({ key, version: 1 }, values),
+          )
+          return true
+        } catch (err) {
+          if (!isUniqueViolation(err)) {
+            throw err
+          }
+
+          return false
+        }
+      }
+
+      const updated = await db("rate_limits")
+        .update(Object.assign({ version: Number(row.version) + 1 }, values))
+        .where({ key, version: row.version })
+
+      return updated > 0
+    },
+
+    async prune(now) {
+      await db("rate_limits")
+        .del()
+        .where("expires_at", "<=", now)
+    },
+  }
+}
+
+const stores = {
+  memory: createMemoryStore,
+  database: createDatabaseStore,
+}
+
+function getStore() {
+  if (!store) {
+    store = stores[config.get("rateLimit.store")]()
+  }
+
+  return store
+}
+
+/**
+ * Replaces the store buckets are kept in.
+ *
+ * @param {Object} custom - The store, with `update` and `prune`.
+ */
+function setStore(custom) {
+  store = custom
+}
+
+/**
+ * Takes a token from a client's bucket for a policy.
+ *
+ * @param {string} name - The name of the policy in `rateLimit.policies`.
+ * @param {string} client - Who the request is from, e.g. `user:<id>`.
+ * @returns {Promise<Object>} - The `limit` and `remaining` tokens of the
+ *   bucket, whether the request is `allowed`, the milliseconds until the
+ *   bucket is full again (`resetMs`) and, when refused, until the next token
+ *   (`retryMs`).
+ */
+async function take(name, client) {
+  const { capacity, windowMs } = config.get(`rateLimit.policies.${name}`)
+  const msPerToken = windowMs / capacity
+  const key = `${name}:${client}`
+
+  let result
+
+  const change = previous => {
+    const now = Date.now()
+    const tokens = previous
+      ? Math.min(
+          capacity,
+          previous.tokens + (now - previous.refilledAt) / msPerToken,
+        )
+      : capacity
+
+    if (tokens < 1) {
+      result = {
+        limit: capacity,
+        remaining: 0,
+        allowed: false,
+        resetMs: Math.ceil((capacity - tokens) * msPerToken),
+        retryMs: Math.ceil((1 - tokens) * msPerToken),
+      }
+
+      return null
+    }
+
+    const resetMs = Math.ceil((capacity - tokens + 1) * msPerToken)
+
+    result = {
+      limit: capacity,
+      remaining: Math.floor(tokens - 1),
+      allowed: true,
+      resetMs,
+    }
+
+    return { tokens: tokens - 1, refilledAt: now, expiresAt: now + resetMs }
+  }
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (await getStore().update(key, change)) {
+      return result
+    }
+  }
+
+  // Requests that keep losing the race for a bucket are refused, so a burst
+  // of parallel requests can't get past the limit.
+  return {
+    limit: capacity,
+    remaining: 0,
+    allowed: false,
+    resetMs: Math.ceil(windowMs),
+    retryMs: Math.ceil(msPerToken),
+  }
+}
+
+/**
+ * Deletes the buckets that are full again.
+ */
+async function prune() {
+  await getStore().prune(Date.now())
+}
+
+/**
+ * Starts pruning full buckets every `rateLimit.pruneMs`.
+ */
+function start() {
+  if (timer) {
+    return
+  }
+
+  timer = setInterval(() => {
+    prune().catch(err => logger.error(err))
+  }, config.get("rateLimit.pruneMs"))
+
+  timer.unref()
+}
+
+function stop() {
+  clearInterval(timer)
+  timer = null
+}
+
+exports.stores = stores
+exports.setStore = setStore
+exports.take = take
+exports.prune = prune
+exports.start = start
+exports.stop = stop
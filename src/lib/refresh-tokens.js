@@ -0,0 +1,126 @@
+const crypto = require("crypto")
+const config = require("config")
+const uuid = require("uuid")
+const { addDays } = require("date-fns")
+const db = require("./db")
+
+function hashToken(token) {
+  return crypto
+    .createHash("sha256")
+    .update(token)
+    .digest("hex")
+}
+
+async function insertToken(user, family, parent = null) {
+  const token = crypto.randomBytes(48).toString("hex")
+  const now = new Date()
+  const row = {
+    id: uuid(),
+    user,
+    family,
+    parent,
+    token_hash: hashToken(token),
+    expires_at: addDays(
+      now,
+      config.get("auth.refreshTokenExpiresInDays"),
+    ).toISOString(),
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+  }
+
+  await db("refresh_tokens").insert(row)
+
+  return { token, row }
+}
+
+/**
+ * Issues a refresh token that starts a new token family for the user.
+ *
+ * @param {string} userId - The id of the user the token belongs to.
+ * @returns {Promise<string>} - The raw refresh token. Only its hash is stored.
+ */
+async function issue(userId) {
+  const { token } = await insertToken(userId, uuid())
+  return token
+}
+
+/**
+ * Revokes every still-active token of a family.
+ *
+ * @param {string} family - The id of the token family to revoke.
+ */
+async function revokeFamily(family) {
+  await db("refresh_tokens")
+    .update({ revoked_at: new Date().toISOString() })
+    .where({ family })
+    .whereNull("revoked_at")
+}
+
+/**
+ * Exchanges a refresh token for a new one from the same family.
+ *
+ * A token can be rotated only once. Presenting a token that was already
+ * rotated or revoked is treated as theft: the whole family is revoked, so
+ * neither the attacker nor the victim can keep using any of its descendants.
+ *
+ * @param {string} token - The raw refresh token presented by the client.
+ * @returns {Promise<?{userId: string, token: string}>} - The owner and the
+ *   new raw refresh token, or null when the token can't be used.
+ */
+async function rotate(token) {
+  const current = await db("refresh_tokens")
+    .first()
+    .where({ token_hash: hashToken(token) })
+
+  if (!current) {
+    return null
+  }
+
+  if (current.revoked_at) {
+    await revokeFamily(current.family)
+    return null
+  }
+
+  if (new Date(current.expires_at) <= new Date()) {
+    return null
+  }
+
+  const next = await insertToken(current.user, current.family, current.id)
+
+  const updated = await db("refresh_tokens")
+    .update({
+      revoked_at: new Date().toISOString(),
+      replaced_by: next.row.id,
+      updated_at: new Date().toISOString(),
+    })
+    .where({ id: current.id })
+    .whereNull("revoked_at")
+
+  if (!updated) {
+    // Another request rotated the same token first.
+    await revokeFamily(current.family)
+    return null
+  }
+
+  return { userId: current.user, token: next.token }
+}
+
+/**
+ * Revokes the family of the given refresh token, if the token is known.
+ *
+ * @param {string} token - The raw refresh token presented by the client.
+ */
+async function revoke(token) {
+  const current = await db("refresh_tokens")
+    .first("family")
+    .where({ token_hash: hashToken(token) })
+
+  if (current) {
+    await revokeFamily(current.family)
+  }
+}
+
+exports.issue = issue
+exports.rotate = rotate
+exports.revoke = revoke
+exports.revokeFamily = revokeFamily
@@ -0,0 +1,133 @@
+const _ = require("lodash")
+const config = require("config")
+const db = require("./db")
+const { wherePublished } = require("./articles")
+const { whereNotSilenced } = require("./blocks")
+
+/**
+ * Related articles.
+ *
+ * Candidates come from three sources: the latest `related.perTag` articles
+ * with each of the article's first `related.tags` tags, the latest
+ * `related.perFavoriter` favorites of each of the latest
+ * `related.favoriters` people who favorited it, and the latest
+ * `related.candidates` other articles by its author. Each of these queries
+ * reads an index in order and stops at its limit, so finding related
+ * articles reads a bounded number of rows however large a tag or a
+ * favoriter's history grows.
+ *
+ * A candidate scores its shared tags, its co-favorites and whether it has
+ * the same author, weighted by `related.weights`.
+ */
+
+function whereVisible(query, article, user) {
+  return whereNotSilenced(
+    wherePublished(query.whereNot("articles.id", article.id)),
+    "articles.author",
+    user,
+  )
+}
+
+// Counts how many of the lists of article ids each article is in.
+function countIds(lists) {
+  return _.map(_.countBy(_.flatten(lists)), (count, id) => ({ id, count }))
+}
+
+async function selectByTags(article, user) {
+  const tags = await db("articles_tags")
+    .pluck("tag")
+    .where({ article: article.id })
+    .orderBy("tag")
+    .limit(config.get("related.tags"))
+
+  return countIds(
+    await Promise.all(
+      tags.map(tag =>
+        whereVisible(
+          db("articles_tags")
+            .pluck("articles.id")
+            .innerJoin("articles", "articles_tags.article", "articles.id")
+            .where("articles_tags.tag", tag),
+          article,
+          user,
+        )
+          .orderBy("articles_tags.created_at", "desc")
+          .limit(config.get("related.perTag")),
+      ),
+    ),
+  )
+}
+
+async function selectByFavorites(article, user) {
+  const favoriters = await db("favorites")
+    .pluck("user")
+    .where({ article: article.id })
+    .orderBy("created_at", "desc")
+    .limit(config.get("related.favoriters"))
+
+  return countIds(
+    await Promise.all(
+      favoriters.map(favoriter =>
+        whereVisible(
+          db("favorites")
+            .pluck("articles.id")
+            .innerJoin("articles", "favorites.article", "articles.id")
+            .where("favorites.user", favoriter),
+          article,
+          user,
+        )
+          .orderBy("favorites.created_at", "desc")
+          .limit(config.get("related.perFavoriter")),
+      ),
+    ),
+  )
+}
+
+function selectByAuthor(article, user) {
+  return whereVisible(
+    db("articles")
+      .select("articles.id", db.raw("1 as count"))
+      .where("articles.author", article.author.id),
+    article,
+    user,
+  )
+    .orderBy("articles.created_at", "desc")
+    .limit(config.get("related.candidates"))
+}
+
+/**
+ * Finds the articles most related to an article. Drafts, scheduled and
+ * hidden articles, the article itself and authors the user muted or blocked
+ * are left out.
+ *
+ * @param {Object} article - The article, with `id` and `author.id`.
+ * @param {Object} [user] - The current user, if any.
+ * @param {number} limit - How many articles to return.
+ * @returns {Promise<Object[]>} - Rows with the `id` and `score` of the
+ *   articles, highest score first.
+ */
+async function findRelated(article, user, limit) {
+  const weights = config.get("related.weights")
+
+  const sources = await Promise.all([
+    selectByTags(article, user),
+    selectByFavorites(article, user),
+    selectByAuthor(article, user),
+  ])
+
+  const scores = {}
+
+  _.zip(sources, [weights.tag, weights.favorite, weights.author]).forEach(
+    ([rows, weight]) =>
+      rows.forEach(r => {
+        scores[r.id] = (scores[r.id] || 0) + weight * Number(r.count)
+      }),
+  )
+
+  return _.sortBy(
+    Object.keys(scores).map(id => ({ id, score: scores[id] })),
+    r => -r.score,
+  ).slice(0, limit)
+}
+
+exports.findRelated = findRelated
@@ -1,49 +1,70 @@
 const userFields = ["id", "image", "bio", "username"]
 
-const articleFields = [
+// Lists of articles leave out the body, which can be long.
+const articleListFields = [
   "id",
   "slug",
   "title",
-  "body",
   "description",
+  "word_count",
+  "reading_time_minutes",
+  "toc",
   "favorites_count",
+  "status",
+  "publish_at",
   "created_at",
   "updated_at",
 ]
 
-const commentFields = ["id", "body", "created_at", "updated_at"]
+const articleFields = [...articleListFields, "body", "body_html"]
+
+const commentFields = [
+  "id",
+  "body",
+  "body_html",
+  "parent",
+  "depth",
+  "path",
+  "deleted_at",
+  "edited",
+  "created_at",
+  "updated_at",
+]
 
 const relationsMaps = [
   {
     mapId: "articleMap",
     idProperty: "id",
-    properties: [...articleFields, "favorited"],
+    properties: [...articleFields],
     associations: [
       { name: "author", mapId: "userMap", columnPrefix: "author_" },
     ],
-    collections: [{ name: "tagList", mapId: "tagMap", columnPrefix: "tag_" }],
   },
   {
-    mapId: "commentMap",
+    mapId: "articleListMap",
     idProperty: "id",
-    properties: [...commentFields],
+    properties: [...articleListFields],
     associations: [
       { name: "author", mapId: "userMap", columnPrefix: "author_" },
     ],
   },
   {
-    mapId: "userMap",
+    mapId: "commentMap",
     idProperty: "id",
-    properties: [...userFields, "following"],
+    properties: [...commentFields],
+    associations: [
+      { name: "author", mapId: "userMap", columnPrefix: "author_" },
+    ],
   },
   {
-    mapId: "tagMap",
+    mapId: "userMap",
     idProperty: "id",
-    properties: ["id", "name"],
+    properties: [...userFields, "following", "blocking", "muting"],
   },
 ]
 
 exports.relationsMaps = relationsMaps
 exports.userFields = userFields
 exports.articleFields = articleFields
+exports.articleListFields = articleListFields
 exports.commentFields = commentFields
@@ -0,0 +1,132 @@
+const crypto = require("crypto")
+const db = require("./db")
+
+const isSqlite = () => db.client.config.client === "sqlite3"
+
+// Snippets are highlighted with markers nobody can guess, so that they can
+// be told apart from the text once it is escaped.
+const marker = crypto.randomBytes(8).toString("hex")
+const highlight = { start: `hl${marker}start`, stop: `hl${marker}stop` }
+
+const entities = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+}
+
+/**
+ * Turns free text into a list of search terms.
+ *
+ * Only letters and digits are kept, so user input can never inject FTS5 or
+ * tsquery operators.
+ *
+ * @param {string} q - The raw search string from the query.
+ * @returns {string[]} - The terms to search for.
+ */
+function getTerms(q) {
+  return String(q || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 16)
+}
+
+function toFtsQuery(terms) {
+  return terms.map(t => `"${t}"*`).join(" ")
+}
+
+function toTsQuery(terms) {
+  return terms.map(t => `${t}:*`).join(" & ")
+}
+
+/**
+ * Turns a snippet selected by `rank` into HTML: the text is escaped and the
+ * matches are wrapped in `<mark>`.
+ *
+ * @param {string} snippet - The `snippet` column.
+ * @returns {string} - The HTML.
+ */
+function formatSnippet(snippet) {
+  return String(snippet == null ? "" : snippet)
+    .replace(/[&<>"']/g, c => entities[c])
+    .split(highlight.start)
+    .join("<mark>")
+    .split(highlight.stop)
+    .join("</mark>")
+}
+
+/**
+ * Restricts a query on the `articles` table to articles matching the terms.
+ *
+ * @param {Object} query - A knex query builder selecting from `articles`.
+ * @param {string[]} terms - Terms returned by `getTerms`.
+ * @returns {Object} - The query builder.
+ */
+function filter(query, terms) {
+  if (isSqlite()) {
+    return query.whereIn(
+      "articles.id",
+      db("articles_fts")
+        .select("id")
+        .whereRaw("articles_fts match ?", [toFtsQuery(terms)]),
+    )
+  }
+
+  return query.whereRaw("articles.search_vector @@ to_tsquery('simple', ?)", [
+    toTsQuery(terms),
+  ])
+}
+
+/**
+ * Filters a query on the `articles` table by the terms, selects the
+ * highlighted snippet as `snippet` and orders the rows by relevance. The
+ * snippet is raw text until it goes through `formatSnippet`.
+ *
+ * Title matches weigh more than description matches, which weigh more than
+ * body matches.
+ *
+ * @param {Object} query - A knex query builder selecting from `articles`.
+ * @param {string[]} terms - Terms returned by `getTerms`.
+ * @returns {Object} - The query builder.
+ */
+function rank(query, terms) {
+  if (isSqlite()) {
+    return query
+      .innerJoin("articles_fts", "articles_fts.id", "articles.id")
+      .whereRaw("articles_fts match ?", [toFtsQuery(terms)])
+      .select(
+        db.raw("snippet(articles_fts, -1, ?, ?, '…', 16) as snippet", [
+          highlight.start,
+          highlight.stop,
+        ]),
+      )
+      .orderByRaw("bm25(articles_fts, 0, 10.0, 5.0, 1.0)")
+      .orderBy("articles.created_at", "desc")
+  }
+
+  const tsQuery = toTsQuery(terms)
+
+  return query
+    .whereRaw("articles.search_vector @@ to_tsquery('simple', ?)", [tsQuery])
+    .select(
+      db.raw(
+        `ts_headline('simple', concat_ws(' ', articles.title, articles.description, articles.body), to_tsquery('simple', ?), ?) as snippet`,
+        [
+          tsQuery,
+          `StartSel=${highlight.start}, StopSel=${highlight.stop}, MaxWords=24, MinWords=8`,
+        ],
+      ),
+    )
+    .orderByRaw(
+      "ts_rank(articles.search_vector, to_tsquery('simple', ?)) desc",
+      [tsQuery],
+    )
+    .orderBy("articles.created_at", "desc")
+}
+
+exports.getTerms = getTerms
+exports.formatSnippet = formatSnippet
+exports.filter = filter
+exports.rank = rank
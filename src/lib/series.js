@@ -0,0 +1,60 @@
+const db = require("./db")
+const { wherePublished } = require("./articles")
+
+/**
+ * Selects the parts of a series in order. Readers only get the published
+ * parts; the author also gets drafts and scheduled parts.
+ *
+ * @param {Object} series - The series, with `id` and `author`.
+ * @param {Object} [user] - The current user, if any.
+ * @returns {Object} - A knex query builder selecting `id`, `slug` and
+ *   `title` from `articles`.
+ */
+function selectParts(series, user) {
+  const query = db("series_articles")
+    .select("articles.id", "articles.slug", "articles.title")
+    .innerJoin("articles", "series_articles.article", "articles.id")
+    .where("series_articles.series", series.id)
+    .orderBy("series_articles.position", "asc")
+
+  return user && user.id === series.author ? query : wherePublished(query)
+}
+
+/**
+ * Tells which series an article belongs to and where it sits in it, among
+ * the parts the user can see.
+ *
+ * @param {Object} article - The article, with `id`.
+ * @param {Object} [user] - The current user, if any.
+ * @returns {Promise<?Object>} - `{ id, title, position, partsCount,
+ *   previous, next }`, where `position` starts at 1 and `previous` and
+ *   `next` are `{ slug, title }` or null; null when the article is not part
+ *   of a series.
+ */
+async function locate(article, user) {
+  const series = await db("series")
+    .first("series.id", "series.title", "series.author")
+    .innerJoin("series_articles", "series.id", "series_articles.series")
+    .where("series_articles.article", article.id)
+
+  if (!series) {
+    return null
+  }
+
+  const parts = await selectParts(series, user)
+  const index = parts.findIndex(p => p.id === article.id)
+
+  const link = part => (part ? { slug: part.slug, title: part.title } : null)
+
+  return {
+    id: series.id,
+    title: series.title,
+    position: index === -1 ? null : index + 1,
+    partsCount: parts.length,
+    previous: index > 0 ? link(parts[index - 1]) : null,
+    next: index === -1 ? null : link(parts[index + 1]),
+  }
+}
+
+exports.selectParts = selectParts
+exports.locate = locate
@@ -0,0 +1,221 @@
+const EventEmitter = require("events")
+const config = require("config")
+const humps = require("humps")
+const _ = require("lodash")
+const db = require("./db")
+
+/**
+ * In-process hub for the live updates sent over `GET /api/stream`.
+ *
+ * Every event is addressed to a list of user ids and numbered with an
+ * increasing id. The latest events are kept in memory, so a client that
+ * reconnects with `Last-Event-ID` receives what it missed. The hub lives in
+ * one process: with several instances each one only streams its own events.
+ */
+
+const hub = new EventEmitter()
+hub.setMaxListeners(0)
+
+const buffer = []
+const subscribers = new Set()
+
+// Seeded from the clock so ids keep increasing across restarts.
+let lastId = Date.now()
+
+/**
+ * Sends an event to the given users.
+ *
+ * @param {string} type - The event type, e.g. `article.created`.
+ * @param {Object} data - The payload, sent as camelized JSON.
+ * @param {string[]} users - The ids of the recipients.
+ */
+function publish(type, data, users) {
+  if (!users.length) {
+    return
+  }
+
+  lastId += 1
+
+  const event = {
+    id: String(lastId),
+    type,
+    data: humps.camelizeKeys(data),
+    users: new Set(users),
+  }
+
+  buffer.push(event)
+
+  if (buffer.length > config.get("stream.bufferSize")) {
+    buffer.shift()
+  }
+
+  hub.emit("event", event)
+}
+
+/**
+ * Calls `listener` with every event addressed to the user, starting with the
+ * buffered events that came after `lastEventId`.
+ *
+ * @param {string} userId - The id of the subscriber.
+ * @param {?string} lastEventId - The id of the last event the client got.
+ * @param {Object} handlers
+ * @param {function} handlers.onEvent - Called with each event.
+ * @param {function} handlers.onClose - Called when the hub shuts down or
+ *   the user's streams are closed.
+ * @returns {function} - Unsubscribes.
+ */
+function subscribe(userId, lastEventId, { onEvent, onClose }) {
+  const listener = event => {
+    if (event.users.has(userId)) {
+      onEvent(event)
+    }
+  }
+
+  if (lastEventId) {
+    buffer
+      .filter(event => Number(event.id) > Number(lastEventId))
+      .forEach(listener)
+  }
+
+  const subscriber = { userId, onClose }
+
+  hub.on("event", listener)
+  subscribers.add(subscriber)
+
+  return () => {
+    hub.removeListener("event", listener)
+    subscribers.delete(subscriber)
+  }
+}
+
+/**
+ * Ends every open stream, so the server can shut down gracefully.
+ */
+function closeAll() {
+  subscribers.forEach(subscriber => subscriber.onClose())
+  subscribers.clear()
+}
+
+/**
+ * Ends the open streams of a user, e.g. when the user is suspended.
+ *
+ * @param {string} userId - The id of the user.
+ */
+function closeUser(userId) {
+  subscribers.forEach(subscriber => {
+    if (subscriber.userId === userId) {
+      subscriber.onClose()
+      subscribers.delete(subscriber)
+    }
+  })
+}
+
+/**
+ * Serializes an event in the SSE wire format.
+ *
+ * @param {Object} event - An event passed to a subscriber.
+ * @returns {string}
+ */
+function serialize(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+    event.data,
+  )}\n\n`
+}
+
+// Users who muted or blocked `actor` get no live updates about them.
+function whereNotSilencing(query, column, actor) {
+  return query
+    .whereNotIn(
+      column,
+      db("mutes")
+        .select("muter")
+        .where({ user: actor }),
+    )
+    .whereNotIn(
+      column,
+      db("blocks")
+        .select("blocker")
+        .where({ user: actor }),
+    )
+}
+
+/**
+ * Pushes a newly published article to the followers of its author.
+ *
+ * @param {Object} article - The article as returned to its author.
+ * @param {string} authorId - The id of the author.
+ */
+async function articlePublished(article, authorId) {
+  const followers = await whereNotSilencing(
+    db("followers")
+      .pluck("follower")
+      .where({ user: authorId }),
+    "follower",
+    authorId,
+  )
+
+  publish(
+    "article.created",
+    {
+      article: Object.assign(
+        _.pick(article, [
+          "slug",
+          "title",
+          "description",
+          "tagList",
+          "createdAt",
+        ]),
+        { author: _.pick(article.author, ["username", "bio", "image"]) },
+      ),
+    },
+    followers,
+  )
+}
+
+/**
+ * Pushes a new comment to the author of the article and to everyone else
+ * who commented on it, except the commenter.
+ *
+ * @param {Object} article - The article, with `id`, `slug`, `title` and
+ *   `author.id`.
+ * @param {Object} comment - The comment as returned to its author.
+ * @param {string} authorId - The id of the commenter.
+ */
+async function commentCreated(article, comment, authorId) {
+  const commenters = await whereNotSilencing(
+    db("comments")
+      .distinct("author")
+      .where({ article: article.id })
+      .whereNull("deleted_at"),
+    "author",
+    authorId,
+  )
+
+  const [articleAuthor] = await whereNotSilencing(
+    db("users")
+      .pluck("id")
+      .where({ id: article.author.id }),
+    "id",
+    authorId,
+  )
+
+  publish(
+    "comment.created",
+    {
+      article: _.pick(article, ["slug", "title"]),
+      comment: _.omit(comment, ["article", "author.id"]),
+    },
+    _.without(
+      _.uniq(_.compact([articleAuthor, ...commenters.map(c => c.author)])),
+      authorId,
+    ),
+  )
+}
+
+exports.publish = publish
+exports.subscribe = subscribe
+exports.closeAll = closeAll
+exports.closeUser = closeUser
+exports.serialize = serialize
+exports.articlePublished = articlePublished
+exports.commentCreated = commentCreated
@@ -0,0 +1,146 @@
+const uuid = require("uuid")
+const db = require("./db")
+
+/**
+ * Tags are stored under a normalised name, so "JavaScript" and "javascript"
+ * are one tag. A tag can also have aliases: other names that resolve to it
+ * when articles are tagged, filtered or followed.
+ */
+
+/**
+ * Normalises a tag name: trimmed, lower case, without a leading `#`, and
+ * with runs of whitespace replaced by a dash.
+ *
+ * @param {string} name - The name as written.
+ * @returns {string} - The normalised name.
+ */
+function normalize(name) {
+  return String(name == null ? "" : name)
+    .trim()
+    .replace(/^#+/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+}
+
+/**
+ * Selects the ids of the tags with the given names or aliases.
+ *
+ * @param {string[]} names - The names, normalised or not.
+ * @returns {Object} - A knex query builder selecting `id`.
+ */
+function selectIds(names) {
+  const normalized = names.map(normalize)
+
+  return db("tags")
+    .select("id")
+    .whereIn("name", normalized)
+    .union(function() {
+      this.select("tag as id")
+        .from("tag_aliases")
+        .whereIn("name", normalized)
+    })
+}
+
+/**
+ * Finds a tag by its name or one of its aliases.
+ *
+ * @param {string} name - The name, normalised or not.
+ * @returns {Promise<?Object>} - The tag.
+ */
+async function find(name) {
+  name = normalize(name)
+
+  const alias = await db("tag_aliases")
+    .first("tag")
+    .where({ name })
+
+  return db("tags")
+    .first()
+    .where(alias ? { id: alias.tag } : { name })
+}
+
+/**
+ * Moves the articles, followers and aliases of one tag onto another, then
+ * deletes it and keeps its name as an alias of the other.
+ *
+ * @param {Object} target - The tag to keep.
+ * @param {Object} source - The tag to merge into it.
+ */
+async function merge(target, source) {
+  await db.transaction(async trx => {
+    for (const [table, column] of [
+      ["articles_tags", "article"],
+      ["tag_follows", "user"],
+    ]) {
+      await trx(table)
+        .update({ tag: target.id })
+        .where({ tag: source.id })
+        .whereNotIn(
+          column,
+          trx(table)
+            .select(column)
+            .where({ tag: target.id }),
+        )
+      await trx(table)
+        .del()
+        .where({ tag: source.id })
+    }
+
+    await trx("tag_aliases")
+      .update({ tag: target.id })
+      .where({ tag: source.id })
+    await trx("tags")
+      .del()
+      .where({ id: source.id })
+    await trx("tag_aliases").insert({
+      id: uuid(),
+      name: source.name,
+      tag: target.id,
+    })
+  })
+}
+
+/**
+ * Makes a name an alias of a tag. When a tag with that name exists, it is
+ * merged into the tag.
+ *
+ * @param {Object} target - The tag.
+ * @param {string} name - The alias, normalised or not.
+ * @returns {Promise<boolean>} - False, without changing anything, when the
+ *   name is already an alias of another tag or is the tag's own name.
+ */
+async function addAlias(target, name) {
+  name = normalize(name)
+
+  const [tag, alias] = await Promise.all([
+    db("tags")
+      .first()
+      .where({ name }),
+    db("tag_aliases")
+      .first()
+      .where({ name }),
+  ])
+
+  if (alias) {
+    return alias.tag === target.id
+  }
+
+  if (tag) {
+    if (tag.id === target.id) {
+      return false
+    }
+
+    await merge(target, tag)
+    return true
+  }
+
+  await db("tag_aliases").insert({ id: uuid(), name, tag: target.id })
+  return true
+}
+
+exports.normalize = normalize
+exports.selectIds = selectIds
+exports.find = find
+exports.merge = merge
+exports.addAlias = addAlias
@@ -0,0 +1,277 @@
+const uuid = require("uuid")
+const config = require("config")
+const db = require("./db")
+const logger = require("./logger")
+const { isUniqueViolation } = require("./errors")
+const { wherePublished } = require("./articles")
+const { selectIds: selectTagIds } = require("./tags")
+
+/**
+ * Trending articles.
+ *
+ * Favorites, comments and views are counted per article and hour in
+ * `article_activity`. Favorites and comments are written as they happen.
+ * Views count once per viewer and hour, so reloading doesn't push an
+ * article up, and are kept in memory and written every `trending.flushMs`,
+ * so reading an article doesn't wait on the database.
+ *
+ * The score of an article over a window sums its activity weighted by
+ * `trending.weights`, decaying linearly with age: activity from the current
+ * hour counts fully and activity from the start of the window next to
+ * nothing.
+ *
+ * The top `trending.size` articles of each window and tag are cached for
+ * `trending.cacheTtlMs`, so ranking runs at most that often.
+ */
+
+const hourMs = 60 * 60 * 1000
+
+// The length of each window, in hours.
+const windows = {
+  day: 24,
+  week: 7 * 24,
+  month: 30 * 24,
+}
+
+const columns = {
+  favorite: "favorites",
+  comment: "comments",
+  view: "views",
+}
+
+const cache = new Map()
+
+// Views waiting to be written, keyed by article and hour.
+const pendingViews = new Map()
+
+// Who viewed which article in the current hour. Once it holds
+// `trending.maxViewers` entries, further views in the hour aren't counted.
+let viewers = new Set()
+let viewersHour = null
+
+let timer = null
+let flushTimer = null
+
+// SQLite stores default timestamps as UTC without a time zone.
+function toHour(value) {
+  const date =
+    value instanceof Date
+      ? value
+      : new Date(
+          /(Z|[+-]\d\d:?\d\d)$/.test(value)
+            ? value
+            : `${String(value).replace(" ", "T")}Z`,
+        )
+
+  return Math.floor(date.getTime() / hourMs)
+}
+
+/**
+ * Counts activity on an article.
+ *
+ * @param {string} articleId - The id of the article.
+ * @param {string} kind - `favorite`, `comment` or `view`.
+ * @param {Object} [options]
+ * @param {number} [options.delta] - How much to add; -1 takes an earlier
+ *   favorite back.
+ * @param {Date|string} [options.at] - When it happened. Defaults to now.
+ */
+async function record(articleId, kind, { delta = 1, at = new Date() } = {}) {
+  const column = columns[kind]
+  const where = { article: articleId, hour: toHour(at) }
+
+  const updated = await db("article_activity")
+    .increment(column, delta)
+    .where(where)
+
+  if (updated || delta < 0) {
+    return
+  }
+
+  try {
+    await db("article_activity").insert(
+      Object.assign({ id: uuid(), [column]: delta }, where),
+    )
+  } catch (err) {
+    if (!isUniqueViolation(err)) {
+      throw err
+    }
+
+    await db("article_activity")
+      .increment(column, delta)
+      .where(where)
+  }
+}
+
+/**
+ * Counts a view of an article, once per viewer and hour.
+ *
+ * @param {string} articleId - The id of the article.
+ * @param {string} viewer - Who viewed it, e.g. `user:<id>` or `ip:<address>`.
+ */
+function recordView(articleId, viewer) {
+  const hour = toHour(new Date())
+
+  if (hour !== viewersHour) {
+    viewers = new Set()
+    viewersHour = hour
+  }
+
+  const key = `${articleId}:${viewer}`
+
+  if (viewers.has(key) || viewers.size >= config.get("trending.maxViewers")) {
+    return
+  }
+
+  viewers.add(key)
+
+  const pendingKey = `${articleId}:${hour}`
+  const pending = pendingViews.get(pendingKey) || { articleId, hour, count: 0 }
+
+  pending.count++
+  pendingViews.set(pendingKey, pending)
+}
+
+/**
+ * Writes the views counted since the last flush.
+ */
+async function flushViews() {
+  const views = [...pendingViews.values()]
+  pendingViews.clear()
+
+  for (const { articleId, hour, count } of views) {
+    try {
+      await record(articleId, "view", {
+        delta: count,
+        at: new Date(hour * hourMs),
+      })
+    } catch (err) {
+      // E.g. the article was deleted in the meantime.
+      logger.error(err)
+    }
+  }
+}
+
+async function computeRanking(window, tag) {
+  const since = toHour(new Date()) - windows[window]
+  const weights = config.get("trending.weights")
+
+  const query = wherePublished(
+    db("article_activity")
+      .select(
+        "articles.id",
+        "articles.author",
+        db.raw(
+          `sum(
+            (article_activity.favorites * ? +
+              article_activity.comments * ? +
+              article_activity.views * ?) *
+            (article_activity.hour - ?)
+          ) as score`,
+          [weights.favorite, weights.comment, weights.view, since],
+        ),
+      )
+      .innerJoin("articles", "article_activity.article", "articles.id")
+      .where("article_activity.hour", ">", since),
+  )
+    .groupBy("articles.id", "articles.author")
+    .orderBy("score", "desc")
+    .orderBy("articles.id", "asc")
+    .limit(config.get("trending.size"))
+
+  if (tag) {
+    query.whereIn(
+      "articles.id",
+      db("articles_tags")
+        .select("article")
+        .whereIn("tag", selectTagIds([tag])),
+    )
+  }
+
+  const rows = await query
+
+  return rows
+    .map(r => ({
+      id: r.id,
+      author: r.author,
+      score: Number(r.score) / windows[window],
+    }))
+    .filter(r => r.score > 0)
+}
+
+/**
+ * Ranks the trending articles of a window, highest score first.
+ *
+ * @param {string} window - `day`, `week` or `month`.
+ * @param {string} [tag] - Only rank articles with this tag.
+ * @returns {Promise<Object[]>} - Up to `trending.size` rows with the `id`,
+ *   `author` and `score` of the articles.
+ */
+async function rank(window, tag) {
+  const key = JSON.stringify([window, tag || null])
+  const now = Date.now()
+  const cached = cache.get(key)
+
+  if (cached && cached.expires > now) {
+    return cached.rows
+  }
+
+  const rows = await computeRanking(window, tag)
+
+  cache.forEach((entry, k) => {
+    if (entry.expires <= now) {
+      cache.delete(k)
+    }
+  })
+  cache.set(key, { rows, expires: now + config.get("trending.cacheTtlMs") })
+
+  return rows
+}
+
+/**
+ * Deletes the activity older than the longest window.
+ */
+async function prune() {
+  const since = toHour(new Date()) - Math.max(...Object.values(windows))
+
+  await db("article_activity")
+    .del()
+    .where("hour", "<=", since)
+}
+
+/**
+ * Starts pruning old activity every `trending.pruneMs` and writing views
+ * every `trending.flushMs`.
+ */
+function start() {
+  if (timer) {
+    return
+  }
+
+  timer = setInterval(() => {
+    prune().catch(err => logger.error(err))
+  }, config.get("trending.pruneMs"))
+
+  flushTimer = setInterval(() => {
+    flushViews().catch(err => logger.error(err))
+  }, config.get("trending.flushMs"))
+
+  timer.unref()
+  flushTimer.unref()
+}
+
+function stop() {
+  clearInterval(timer)
+  clearInterval(flushTimer)
+  timer = null
+  flushTimer = null
+}
+
+exports.windows = windows
+exports.record = record
+exports.recordView = recordView
+exports.flushViews = flushViews
+exports.rank = rank
+exports.prune = prune
+exports.start = start
+exports.stop = stop
@@ -6,11 +6,11 @@ function generateJWTforUser(user = {}) {
   return Object.assign({}, user, {
     token: jwt.sign(
       {
-        sub: _.pick(user, ["id", "email", "username"]),
+        sub: _.pick(user, ["id", "email", "username", "role"]),
       },
       config.get("secret"),
       {
-        expiresIn: "7d",
+        expiresIn: config.get("auth.accessTokenExpiresIn"),
       },
     ),
   })
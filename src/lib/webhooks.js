@@ -0,0 +1,251 @@
+const crypto = require("crypto")
+const uuid = require("uuid")
+const rp = require("request-promise")
+const config = require("config")
+const humps = require("humps")
+const db = require("./db")
+const logger = require("./logger")
+const network = require("./network")
+const { roles } = require("./permissions")
+
+/**
+ * Outbound webhooks.
+ *
+ * A user's webhooks receive the events about that user's own articles and
+ * profile; an admin's webhooks receive every event. Each event becomes one
+ * delivery per webhook, sent right away and retried with exponential
+ * backoff until it succeeds or `webhooks.maxAttempts` is reached.
+ *
+ * Payloads are signed with the webhook's secret: the `X-Webhook-Signature`
+ * header holds `sha256=` followed by the hex HMAC-SHA256 of
+ * `<X-Webhook-Timestamp>.<body>`.
+ *
+ * Deliveries never go to local or private addresses (see `network`) and
+ * don't follow redirects.
+ */
+
+const statuses = {
+  pending: "pending",
+  succeeded: "succeeded",
+  failed: "failed",
+}
+
+let timer = null
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString("hex")
+}
+
+/**
+ * Signs a payload with a webhook secret.
+ *
+ * @param {string} secret - The secret of the webhook.
+ * @param {string} timestamp - The value of the `X-Webhook-Timestamp` header.
+ * @param {string} body - The raw request body.
+ * @returns {string} - The value of the `X-Webhook-Signature` header.
+ */
+function sign(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret)
+  hmac.update(`${timestamp}.${body}`)
+  return `sha256=${hmac.digest("hex")}`
+}
+
+function getBackoff(attempts) {
+  return config.get("webhooks.backoffMs") * Math.pow(2, attempts - 1)
+}
+
+/**
+ * Sends one delivery and records the outcome.
+ *
+ * The delivery is claimed first by moving its `next_attempt_at` past the
+ * request timeout, so a delivery is never sent twice at the same time.
+ *
+ * @param {Object} delivery - A row of `webhook_deliveries`.
+ */
+async function attempt(delivery) {
+  const timeout = config.get("webhooks.timeoutMs")
+  const claimed = await db("webhook_deliveries")
+    .update({
+      next_attempt_at: new Date(Date.now() + timeout * 2).toISOString(),
+    })
+    .where({
+      id: delivery.id,
+      status: statuses.pending,
+      next_attempt_at: delivery.next_attempt_at,
+    })
+
+  if (!claimed) {
+    return
+  }
+
+  const webhook = await db("webhooks")
+    .first("url", "secret")
+    .where({ id: delivery.webhook })
+
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  const attempts = delivery.attempts + 1
+  const result = { attempts, updated_at: new Date().toISOString() }
+
+  try {
+    if (!network.isAllowedUrl(webhook.url)) {
+      throw new Error("URL is not an allowed address")
+    }
+
+    const res = await rp({
+      method: "POST",
+      uri: webhook.url,
+      body: delivery.payload,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": `${config.get("env.name")}-webhooks`,
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery.id,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": sign(
+          webhook.secret,
+          timestamp,
+          delivery.payload,
+        ),
+      },
+      timeout,
+      lookup: network.lookup,
+      followRedirect: false,
+      resolveWithFullResponse: true,
+      simple: false,
+    })
+
+    result.response_status = res.statusCode
+    result.error = res.statusCode < 300 ? null : `HTTP ${res.statusCode}`
+  } catch (err) {
+    result.response_status = null
+    result.error = err.message
+  }
+
+  if (!result.error) {
+    result.status = statuses.succeeded
+    result.delivered_at = result.updated_at
+    result.next_attempt_at = null
+  } else if (attempts >= config.get("webhooks.maxAttempts")) {
+    result.status = statuses.failed
+    result.next_attempt_at = null
+  } else {
+    result.next_attempt_at = new Date(
+      Date.now() + getBackoff(attempts),
+    ).toISOString()
+  }
+
+  await db("webhook_deliveries")
+    .update(result)
+    .where({ id: delivery.id })
+}
+
+function attemptInBackground(delivery) {
+  attempt(delivery).catch(err => logger.error(err))
+}
+
+/**
+ * Records an event for every active webhook subscribed to it and starts
+ * delivering it. Returns once the deliveries are stored.
+ *
+ * @param {string} event - The event, e.g. `article.created`.
+ * @param {Object} data - The payload, sent as camelized JSON.
+ * @param {string} ownerId - The id of the user the event is about.
+ */
+async function trigger(event, data, ownerId) {
+  const webhooks = await db("webhooks")
+    .select("webhooks.id", "webhooks.events")
+    .innerJoin("users", "webhooks.owner", "users.id")
+    .where("webhooks.active", true)
+    .where(function() {
+      this.where("webhooks.owner", ownerId).orWhere("users.role", roles.admin)
+    })
+
+  const now = new Date().toISOString()
+
+  const deliveries = webhooks
+    .filter(w => JSON.parse(w.events).includes(event))
+    .map(w => {
+      const id = uuid()
+
+      return {
+        id,
+        webhook: w.id,
+        event,
+        payload: JSON.stringify({
+          id,
+          event,
+          createdAt: now,
+          data: humps.camelizeKeys(data),
+        }),
+        status: statuses.pending,
+        attempts: 0,
+        next_attempt_at: now,
+        created_at: now,
+        updated_at: now,
+      }
+    })
+
+  if (!deliveries.length) {
+    return
+  }
+
+  await db("webhook_deliveries").insert(deliveries)
+
+  deliveries.forEach(attemptInBackground)
+}
+
+/**
+ * Sends the pending deliveries whose next attempt is due.
+ */
+async function retryDue() {
+  const due = await db("webhook_deliveries")
+    .select()
+    .where({ status: statuses.pending })
+    .where("next_attempt_at", "<=", new Date().toISOString())
+    .orderBy("next_attempt_at", "asc")
+    .limit(100)
+
+  for (const delivery of due) {
+    await attempt(delivery)
+  }
+}
+
+/**
+ * Starts retrying failed deliveries every `webhooks.pollMs`.
+ */
+function start() {
+  if (timer) {
+    return
+  }
+
+  let running = false
+
+  timer = setInterval(() => {
+    if (running) {
+      return
+    }
+
+    running = true
+
+    retryDue()
+      .catch(err => logger.error(err))
+      .then(() => {
+        running = false
+      })
+  }, config.get("webhooks.pollMs"))
+
+  timer.unref()
+}
+
+function stop() {
+  clearInterval(timer)
+  timer = null
+}
+
+exports.statuses = statuses
+exports.generateSecret = generateSecret
+exports.sign = sign
+exports.trigger = trigger
+exports.retryDue = retryDue
+exports.start = start
+exports.stop = stop
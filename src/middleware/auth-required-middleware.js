@@ -1,6 +1,12 @@
-const { AuthenticationError } = require("../lib/errors")
+const { AuthenticationError, ValidationError } = require("../lib/errors")
+const { isSuspended } = require("../lib/permissions")
 
 module.exports = function(ctx, next) {
   ctx.assert(ctx.state.user, new AuthenticationError())
+  ctx.assert(
+    !isSuspended(ctx.state.user),
+    403,
+    new ValidationError(["is suspended"], "", "account"),
+  )
   return next()
 }
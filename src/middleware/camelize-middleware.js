@@ -1,9 +1,15 @@
 const humps = require("humps")
 const _ = require("lodash")
+const { Stream } = require("stream")
 
 module.exports = async function(ctx, next) {
   await next()
-  if (ctx.body && _.isObjectLike(ctx.body)) {
+  if (
+    ctx.body &&
+    _.isObjectLike(ctx.body) &&
+    !(ctx.body instanceof Stream) &&
+    !Buffer.isBuffer(ctx.body)
+  ) {
     ctx.body = humps.camelizeKeys(ctx.body)
   }
 }
@@ -4,7 +4,11 @@ const _ = require("lodash")
 module.exports = async (ctx, next) => {
   try {
     await next()
-    ctx.assert(ctx.response.body && Number(ctx.response.status) !== 404, 404)
+    ctx.assert(
+      Number(ctx.response.status) === 304 ||
+        (ctx.response.body && Number(ctx.response.status) !== 404),
+      404,
+    )
   } catch (err) {
     ctx.type = "application/json"
 
@@ -13,8 +17,7 @@ module.exports = async (ctx, next) => {
       err.statusCode ||
       err.status_code ||
       (err.output && err.output.statusCode) ||
-      (err.oauthError && err.oauthError.statusCode) ||
-      500
+      (err.oauthError && err.oauthError.statusCode)
 
     if (!ctx.response.body) {
       ctx.response.body = { errors: {} }
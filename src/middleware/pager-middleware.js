@@ -1,6 +1,10 @@
 const qs = require("qs")
+const config = require("config")
+const cursor = require("../lib/cursor")
+const { ValidationError } = require("../lib/errors")
 
 const filters = ["tag", "author", "favorited"]
+const directions = ["after", "before"]
 
 module.exports = (ctx, next) => {
   if (ctx.method !== "GET") {
@@ -11,14 +15,51 @@ module.exports = (ctx, next) => {
 
   const { query } = ctx
 
-  query.limit = parseInt(query.limit, 10) || 20
-  query.skip = query.offset = parseInt(query.offset, 10) || 0
+  query.paged = Boolean(query.limit || query.after || query.before)
+
+  const limit = parseInt(query.limit, 10)
+  const offset = parseInt(query.offset, 10)
+
+  ctx.assert(
+    !(limit < 0),
+    422,
+    new ValidationError(["can't be negative"], "", "limit"),
+  )
+  ctx.assert(
+    !(offset < 0),
+    422,
+    new ValidationError(["can't be negative"], "", "offset"),
+  )
+
+  query.limit = Math.min(limit || 20, config.get("pager.maxLimit"))
+  query.skip = query.offset = offset || 0
 
   if (query.page) {
     query.page = parseInt(query.page, 10)
+
+    ctx.assert(
+      query.page > 0,
+      422,
+      new ValidationError(["must be positive"], "", "page"),
+    )
+
     query.skip = query.offset = (query.page - 1) * query.limit
   }
 
+  const direction = directions.find(d => query[d])
+
+  if (direction) {
+    const position = cursor.decode(query[direction])
+
+    ctx.assert(
+      position,
+      422,
+      new ValidationError(["is invalid"], "", direction),
+    )
+
+    query.cursor = Object.assign({ direction }, position)
+  }
+
   filters.forEach(f => {
     if (!query[f] || Array.isArray(query[f])) return
     if (query[f]) {
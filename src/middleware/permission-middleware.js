@@ -0,0 +1,56 @@
+const permissions = require("../lib/permissions")
+const { ValidationError } = require("../lib/errors")
+const authRequired = require("./auth-required-middleware")
+
+// What a refused action reads like, after the name of the resource.
+const refusals = {
+  read: "can't be read",
+  update: "can't be updated",
+  delete: "can't be deleted",
+  readRevisions: "can't have its revisions read",
+  restoreRevision: "can't have its revisions restored",
+}
+
+/**
+ * Only lets users with one of the given roles through. Like
+ * `auth-required-middleware`, it refuses anonymous and suspended users.
+ *
+ * @param {...string} roles - The allowed roles.
+ * @returns {function} - The middleware.
+ */
+exports.requireRole = (...roles) =>
+  function(ctx, next) {
+    return authRequired(ctx, () => {
+      ctx.assert(
+        roles.includes(ctx.state.user.role),
+        403,
+        new ValidationError([`must be ${roles.join(" or ")}`], "", "role"),
+      )
+      return next()
+    })
+  }
+
+/**
+ * Only lets users through who may perform the action on the resource loaded
+ * into `ctx.params[resource]` by the router's param handlers. Like
+ * `auth-required-middleware`, it refuses anonymous and suspended users.
+ *
+ * @param {string} action - The action, e.g. `update`.
+ * @param {string} resource - The kind of resource, e.g. `article`.
+ * @returns {function} - The middleware.
+ */
+exports.can = (action, resource) =>
+  function(ctx, next) {
+    return authRequired(ctx, () => {
+      ctx.assert(
+        permissions.can(ctx.state.user, action, resource, ctx.params[resource]),
+        403,
+        new ValidationError(
+          [refusals[action] || "can't be accessed"],
+          "",
+          resource,
+        ),
+      )
+      return next()
+    })
+  }
@@ -0,0 +1,43 @@
+const config = require("config")
+const rateLimit = require("../lib/rate-limit")
+const { ValidationError } = require("../lib/errors")
+
+/**
+ * Limits how often a client may make requests under a policy from
+ * `rateLimit.policies`. Clients are told about their limit in the
+ * `RateLimit-*` headers; those over it get a 429 with `Retry-After`.
+ *
+ * Authenticated users are limited per user, others per IP address.
+ *
+ * @param {string} [name=default] - The name of the policy.
+ * @returns {function} - The middleware.
+ */
+module.exports = (name = "default") =>
+  async function(ctx, next) {
+    if (!config.get("rateLimit.enabled") || ctx.method === "OPTIONS") {
+      return next()
+    }
+
+    const { user } = ctx.state
+    const client = user ? `user:${user.id}` : `ip:${ctx.ip}`
+    const { windowMs } = config.get(`rateLimit.policies.${name}`)
+
+    const result = await rateLimit.take(name, client)
+
+    ctx.set({
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(Math.ceil(result.resetMs / 1000)),
+      "RateLimit-Policy": `${result.limit};w=${Math.ceil(windowMs / 1000)}`,
+    })
+
+    if (!result.allowed) {
+      ctx.set("Retry-After", String(Math.ceil(result.retryMs / 1000)))
+      ctx.throw(
+        429,
+        new ValidationError(["are too many, try again later"], "", "requests"),
+      )
+    }
+
+    return next()
+  }
@@ -10,6 +10,8 @@ module.exports = async (ctx, next) => {
         "username",
         "image",
         "bio",
+        "role",
+        "suspended_until",
         "created_at",
         "updated_at",
       )
@@ -0,0 +1,31 @@
+exports.up = function(knex) {
+  return knex.schema.createTable("refresh_tokens", function(table) {
+    table
+      .uuid("id")
+      .unique()
+      .primary()
+      .notNullable()
+    table
+      .uuid("user")
+      .notNullable()
+      .references("users.id")
+      .onDelete("CASCADE")
+    table
+      .uuid("family")
+      .notNullable()
+      .index()
+    table.uuid("parent")
+    table
+      .string("token_hash")
+      .unique()
+      .notNullable()
+    table.string("expires_at").notNullable()
+    table.string("revoked_at")
+    table.uuid("replaced_by")
+    table.timestamps(true, true)
+  })
+}
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists("refresh_tokens")
+}
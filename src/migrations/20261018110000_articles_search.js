@@ -0,0 +1,39 @@
+const search = require("./support/search")
+
+const isSqlite = knex => knex.client.config.client === "sqlite3"
+
+exports.up = async function(knex) {
+  if (isSqlite(knex)) {
+    await knex.raw(
+      "create virtual table articles_fts using fts5(id unindexed, title, description, body)",
+    )
+    await knex.raw(
+      "insert into articles_fts (id, title, description, body) select id, title, description, body from articles",
+    )
+    await search.createTriggers(knex)
+    return
+  }
+
+  await knex.raw(`
+    alter table articles add column search_vector tsvector
+    generated always as (
+      setweight(to_tsvector('simple', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('simple', coalesce(description, '')), 'B') ||
+      setweight(to_tsvector('simple', coalesce(body, '')), 'C')
+    ) stored
+  `)
+  await knex.raw(
+    "create index articles_search_vector_index on articles using gin (search_vector)",
+  )
+}
+
+exports.down = async function(knex) {
+  if (isSqlite(knex)) {
+    await search.dropTriggers(knex)
+    await knex.raw("drop table if exists articles_fts")
+    return
+  }
+
+  await knex.raw("drop index if exists articles_search_vector_index")
+  await knex.raw("alter table articles drop column if exists search_vector")
+}
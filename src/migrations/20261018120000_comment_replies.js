@@ -0,0 +1,29 @@
+const { dropColumns } = require("./support/columns")
+
+exports.up = function(knex) {
+  return knex.schema.alterTable("comments", function(table) {
+    table
+      .uuid("parent")
+      .references("comments.id")
+      .index()
+    table
+      .integer("depth")
+      .notNullable()
+      .defaultTo(0)
+    table
+      .text("path")
+      .notNullable()
+      .defaultTo("")
+      .index()
+    table.string("deleted_at")
+  })
+}
+
+exports.down = function(knex) {
+  return dropColumns(knex, "comments", [
+    "parent",
+    "depth",
+    "path",
+    "deleted_at",
+  ])
+}
@@ -0,0 +1,32 @@
+const { dropColumns } = require("./support/columns")
+
+exports.up = function(knex) {
+  return knex.schema
+    .alterTable("comments", function(table) {
+      table
+        .boolean("edited")
+        .notNullable()
+        .defaultTo(false)
+    })
+
+    .createTable("comment_revisions", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("comment")
+        .notNullable()
+        .references("comments.id")
+        .onDelete("CASCADE")
+        .index()
+      table.text("body").notNullable()
+      table.timestamps(true, true)
+    })
+}
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists("comment_revisions")
+  await dropColumns(knex, "comments", ["edited"])
+}
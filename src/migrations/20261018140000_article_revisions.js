@@ -0,0 +1,67 @@
+const uuid = require("uuid")
+const { eachBatch } = require("./support/batches")
+
+exports.up = async function(knex) {
+  await knex.schema.createTable("article_revisions", function(table) {
+    table
+      .uuid("id")
+      .unique()
+      .primary()
+      .notNullable()
+    table
+      .uuid("article")
+      .notNullable()
+      .references("articles.id")
+      .onDelete("CASCADE")
+      .index()
+    table
+      .uuid("author")
+      .notNullable()
+      .references("users.id")
+      .onDelete("CASCADE")
+    table.string("title").notNullable()
+    table.string("description").notNullable()
+    table.text("body").notNullable()
+    table
+      .text("tag_list")
+      .notNullable()
+      .defaultTo("[]")
+    table.timestamps(true, true)
+  })
+
+  // Every existing article starts its history with its current version.
+  await eachBatch(
+    knex,
+    "articles",
+    ["author", "title", "description", "body", "updated_at"],
+    async articles => {
+      const tags = await knex("articles_tags")
+        .select("articles_tags.article", "tags.name")
+        .innerJoin("tags", "articles_tags.tag", "tags.id")
+        .whereIn(
+          "articles_tags.article",
+          articles.map(a => a.id),
+        )
+
+      await knex("article_revisions").insert(
+        articles.map(a => ({
+          id: uuid(),
+          article: a.id,
+          author: a.author,
+          title: a.title,
+          description: a.description,
+          body: a.body,
+          tag_list: JSON.stringify(
+            tags.filter(t => t.article === a.id).map(t => t.name),
+          ),
+          created_at: a.updated_at,
+          updated_at: a.updated_at,
+        })),
+      )
+    },
+  )
+}
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists("article_revisions")
+}
@@ -0,0 +1,18 @@
+const { dropColumns } = require("./support/columns")
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable("articles", function(table) {
+    table
+      .string("status")
+      .notNullable()
+      .defaultTo("published")
+    table.timestamp("publish_at")
+    table.index(["status", "publish_at"])
+  })
+
+  await knex("articles").update({ publish_at: knex.ref("created_at") })
+}
+
+exports.down = function(knex) {
+  return dropColumns(knex, "articles", ["status", "publish_at"])
+}
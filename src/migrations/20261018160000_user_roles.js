@@ -0,0 +1,14 @@
+const { dropColumns } = require("./support/columns")
+
+exports.up = function(knex) {
+  return knex.schema.alterTable("users", function(table) {
+    table
+      .string("role")
+      .notNullable()
+      .defaultTo("user")
+  })
+}
+
+exports.down = function(knex) {
+  return dropColumns(knex, "users", ["role"])
+}
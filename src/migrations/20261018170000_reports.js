@@ -0,0 +1,59 @@
+const { dropColumns } = require("./support/columns")
+
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("reports", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("reporter")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table
+        .uuid("article")
+        .notNullable()
+        .references("articles.id")
+        .onDelete("CASCADE")
+      table
+        .uuid("comment")
+        .references("comments.id")
+        .onDelete("CASCADE")
+      table.string("reason").notNullable()
+      table.text("note").defaultTo("")
+      table
+        .string("status")
+        .notNullable()
+        .defaultTo("open")
+      table
+        .uuid("resolved_by")
+        .references("users.id")
+        .onDelete("SET NULL")
+      table.string("resolved_at")
+      table.timestamps(true, true)
+      table.index(["status", "created_at"])
+      table.index(["article", "comment"])
+    })
+
+    .alterTable("articles", function(table) {
+      table.string("hidden_at")
+    })
+
+    .alterTable("comments", function(table) {
+      table.string("hidden_at")
+    })
+
+    .alterTable("users", function(table) {
+      table.string("suspended_until")
+    })
+}
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists("reports")
+  await dropColumns(knex, "articles", ["hidden_at"])
+  await dropColumns(knex, "comments", ["hidden_at"])
+  await dropColumns(knex, "users", ["suspended_until"])
+}
@@ -0,0 +1,48 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("blocks", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("user")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table
+        .uuid("blocker")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table.unique(["user", "blocker"])
+      table.index("blocker")
+      table.timestamps(true, true)
+    })
+
+    .createTable("mutes", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("user")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table
+        .uuid("muter")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table.unique(["user", "muter"])
+      table.index("muter")
+      table.timestamps(true, true)
+    })
+}
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists("mutes").dropTableIfExists("blocks")
+}
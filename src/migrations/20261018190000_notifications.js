@@ -0,0 +1,36 @@
+exports.up = function(knex) {
+  return knex.schema.createTable("notifications", function(table) {
+    table
+      .uuid("id")
+      .unique()
+      .primary()
+      .notNullable()
+    table
+      .uuid("user")
+      .notNullable()
+      .references("users.id")
+      .onDelete("CASCADE")
+    table
+      .uuid("actor")
+      .notNullable()
+      .references("users.id")
+      .onDelete("CASCADE")
+    table.string("type").notNullable()
+    table
+      .uuid("article")
+      .references("articles.id")
+      .onDelete("CASCADE")
+    table
+      .uuid("comment")
+      .references("comments.id")
+      .onDelete("CASCADE")
+    table.string("read_at")
+    table.timestamps(true, true)
+    table.index(["user", "created_at"])
+    table.index(["user", "actor", "type"])
+  })
+}
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists("notifications")
+}
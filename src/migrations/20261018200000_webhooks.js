@@ -0,0 +1,60 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("webhooks", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("owner")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table.string("url", 2048).notNullable()
+      table.text("events").notNullable()
+      table.string("secret").notNullable()
+      table
+        .boolean("active")
+        .notNullable()
+        .defaultTo(true)
+      table.timestamps(true, true)
+      table.index("owner")
+    })
+
+    .createTable("webhook_deliveries", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("webhook")
+        .notNullable()
+        .references("webhooks.id")
+        .onDelete("CASCADE")
+      table.string("event").notNullable()
+      table.text("payload").notNullable()
+      table
+        .string("status")
+        .notNullable()
+        .defaultTo("pending")
+      table
+        .integer("attempts")
+        .notNullable()
+        .defaultTo(0)
+      table.string("next_attempt_at")
+      table.integer("response_status")
+      table.text("error")
+      table.string("delivered_at")
+      table.timestamps(true, true)
+      table.index(["status", "next_attempt_at"])
+      table.index(["webhook", "created_at"])
+    })
+}
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists("webhook_deliveries")
+    .dropTableIfExists("webhooks")
+}
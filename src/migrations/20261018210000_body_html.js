@@ -0,0 +1,34 @@
+const { render } = require("./support/markdown")
+const { eachBatch } = require("./support/batches")
+const { dropColumns } = require("./support/columns")
+
+// Renders the bodies of existing rows in batches.
+function backfill(knex, table) {
+  return eachBatch(knex, table, ["body"], rows =>
+    Promise.all(
+      rows.map(row =>
+        knex(table)
+          .update({ body_html: render(row.body) })
+          .where({ id: row.id }),
+      ),
+    ),
+  )
+}
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable("articles", function(table) {
+    table.text("body_html")
+  })
+
+  await knex.schema.alterTable("comments", function(table) {
+    table.text("body_html")
+  })
+
+  await backfill(knex, "articles")
+  await backfill(knex, "comments")
+}
+
+exports.down = async function(knex) {
+  await dropColumns(knex, "articles", ["body_html"])
+  await dropColumns(knex, "comments", ["body_html"])
+}
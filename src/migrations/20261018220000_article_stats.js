@@ -0,0 +1,44 @@
+const { analyze } = require("./support/markdown")
+const { eachBatch } = require("./support/batches")
+const { dropColumns } = require("./support/columns")
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable("articles", function(table) {
+    table
+      .integer("word_count")
+      .notNullable()
+      .defaultTo(0)
+    table
+      .integer("reading_time_minutes")
+      .notNullable()
+      .defaultTo(0)
+    table
+      .text("toc")
+      .notNullable()
+      .defaultTo("[]")
+  })
+
+  await eachBatch(knex, "articles", ["body"], articles =>
+    Promise.all(
+      articles.map(article => {
+        const { wordCount, readingTimeMinutes, toc } = analyze(article.body)
+
+        return knex("articles")
+          .update({
+            word_count: wordCount,
+            reading_time_minutes: readingTimeMinutes,
+            toc: JSON.stringify(toc),
+          })
+          .where({ id: article.id })
+      }),
+    ),
+  )
+}
+
+exports.down = function(knex) {
+  return dropColumns(knex, "articles", [
+    "word_count",
+    "reading_time_minutes",
+    "toc",
+  ])
+}
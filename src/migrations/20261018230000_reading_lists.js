@@ -0,0 +1,72 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("bookmarks", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("user")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table
+        .uuid("article")
+        .notNullable()
+        .references("articles.id")
+        .onDelete("CASCADE")
+      table.unique(["user", "article"])
+      table.index(["user", "created_at"])
+      table.timestamps(true, true)
+    })
+
+    .createTable("reading_lists", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("owner")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table.string("name").notNullable()
+      table
+        .boolean("public")
+        .notNullable()
+        .defaultTo(false)
+      table.unique(["owner", "name"])
+      table.timestamps(true, true)
+    })
+
+    .createTable("reading_list_items", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("list")
+        .notNullable()
+        .references("reading_lists.id")
+        .onDelete("CASCADE")
+      table
+        .uuid("article")
+        .notNullable()
+        .references("articles.id")
+        .onDelete("CASCADE")
+      table.integer("position").notNullable()
+      table.unique(["list", "article"])
+      table.index("article")
+      table.timestamps(true, true)
+    })
+}
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists("reading_list_items")
+    .dropTableIfExists("reading_lists")
+    .dropTableIfExists("bookmarks")
+}
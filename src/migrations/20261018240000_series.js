@@ -0,0 +1,50 @@
+exports.up = function(knex) {
+  return knex.schema
+    .createTable("series", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("author")
+        .notNullable()
+        .references("users.id")
+        .onDelete("CASCADE")
+      table.string("title").notNullable()
+      table
+        .text("description")
+        .notNullable()
+        .defaultTo("")
+      table.index("author")
+      table.timestamps(true, true)
+    })
+
+    .createTable("series_articles", function(table) {
+      table
+        .uuid("id")
+        .unique()
+        .primary()
+        .notNullable()
+      table
+        .uuid("series")
+        .notNullable()
+        .references("series.id")
+        .onDelete("CASCADE")
+      table
+        .uuid("article")
+        .notNullable()
+        .unique()
+        .references("articles.id")
+        .onDelete("CASCADE")
+      table.integer("position").notNullable()
+      table.index(["series", "position"])
+      table.timestamps(true, true)
+    })
+}
+
+exports.down = function(knex) {
+  return knex.schema
+    .dropTableIfExists("series_articles")
+    .dropTableIfExists("series")
+}
@@ -0,0 +1,26 @@
+exports.up = function(knex) {
+  return knex.schema.createTable("tag_follows", function(table) {
+    table
+      .uuid("id")
+      .unique()
+      .primary()
+      .notNullable()
+    table
+      .uuid("tag")
+      .notNullable()
+      .references("tags.id")
+      .onDelete("CASCADE")
+    table
+      .uuid("user")
+      .notNullable()
+      .references("users.id")
+      .onDelete("CASCADE")
+    table.unique(["user", "tag"])
+    table.index("tag")
+    table.timestamps(true, true)
+  })
+}
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists("tag_follows")
+}
@@ -0,0 +1,97 @@
+const _ = require("lodash")
+const { dropColumns } = require("./support/columns")
+
+// The normalisation of lib/tags at the time of this migration.
+function normalize(name) {
+  return String(name == null ? "" : name)
+    .trim()
+    .replace(/^#+/, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+}
+
+// Moves the rows of a tag onto another tag, skipping rows it already has.
+async function moveRows(knex, table, column, source, target) {
+  await knex(table)
+    .update({ tag: target.id })
+    .where({ tag: source.id })
+    .whereNotIn(
+      column,
+      knex(table)
+        .select(column)
+        .where({ tag: target.id }),
+    )
+  await knex(table)
+    .del()
+    .where({ tag: source.id })
+}
+
+// Merges the tags whose names only differ once normalised and renames the
+// rest.
+async function normalizeTags(knex) {
+  const tags = await knex("tags")
+    .select("id", "name")
+    .orderBy("created_at", "asc")
+
+  const groups = _.groupBy(tags, t => normalize(t.name))
+
+  for (const [name, group] of Object.entries(groups)) {
+    if (!name) {
+      continue
+    }
+
+    const target = group.find(t => t.name === name) || group[0]
+
+    for (const source of group.filter(t => t !== target)) {
+      await moveRows(knex, "articles_tags", "article", source, target)
+      await moveRows(knex, "tag_follows", "user", source, target)
+      await knex("tags")
+        .del()
+        .where({ id: source.id })
+    }
+
+    if (target.name !== name) {
+      await knex("tags")
+        .update({ name })
+        .where({ id: target.id })
+    }
+  }
+}
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable("tags", function(table) {
+    table
+      .text("description")
+      .notNullable()
+      .defaultTo("")
+  })
+
+  await knex.schema.createTable("tag_aliases", function(table) {
+    table
+      .uuid("id")
+      .unique()
+      .primary()
+      .notNullable()
+    table
+      .string("name")
+      .unique()
+      .notNullable()
+    table
+      .uuid("tag")
+      .notNullable()
+      .references("tags.id")
+      .onDelete("CASCADE")
+    table.index("tag")
+    table.timestamps(true, true)
+  })
+
+  await normalizeTags(knex)
+}
+
+// Merged tags are not split again.
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists("tag_aliases")
+
+  await dropColumns(knex, "tags", ["description"])
+}
@@ -0,0 +1,90 @@
+const _ = require("lodash")
+const uuid = require("uuid")
+
+const hourMs = 60 * 60 * 1000
+const backfillHours = 30 * 24
+
+// SQLite stores default timestamps as UTC without a time zone.
+function toHour(value) {
+  const date =
+    value instanceof Date
+      ? value
+      : new Date(
+          /(Z|[+-]\d\d:?\d\d)$/.test(value)
+            ? value
+            : `${String(value).replace(" ", "T")}Z`,
+        )
+
+  return Math.floor(date.getTime() / hourMs)
+}
+
+// Counts the recent rows of a table per article and hour.
+async function count(knex, table, column, rows) {
+  const since = new Date(Date.now() - backfillHours * hourMs)
+
+  const recent = await knex(table)
+    .select("article", "created_at")
+    .where("created_at", ">=", since.toISOString().replace("T", " "))
+
+  recent.forEach(r => {
+    const hour = toHour(r.created_at)
+    const key = `${r.article}:${hour}`
+
+    if (hour < toHour(since)) {
+      return
+    }
+
+    rows[key] = rows[key] || {
+      id: uuid(),
+      article: r.article,
+      hour,
+      favorites: 0,
+      comments: 0,
+      views: 0,
+    }
+    rows[key][column] += 1
+  })
+}
+
+exports.up = async function(knex) {
+  await knex.schema.createTable("article_activity", function(table) {
+    table
+      .uuid("id")
+      .unique()
+      .primary()
+      .notNullable()
+    table
+      .uuid("article")
+      .notNullable()
+      .references("articles.id")
+      .onDelete("CASCADE")
+    table.integer("hour").notNullable()
+    table
+      .integer("favorites")
+      .notNullable()
+      .defaultTo(0)
+    table
+      .integer("comments")
+      .notNullable()
+      .defaultTo(0)
+    table
+      .integer("views")
+      .notNullable()
+      .defaultTo(0)
+    table.unique(["article", "hour"])
+    table.index("hour")
+  })
+
+  const rows = {}
+
+  await count(knex, "favorites", "favorites", rows)
+  await count(knex, "comments", "comments", rows)
+
+  for (const batch of _.chunk(Object.values(rows), 100)) {
+    await knex("article_activity").insert(batch)
+  }
+}
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists("article_activity")
+}
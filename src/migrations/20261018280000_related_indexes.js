@@ -0,0 +1,18 @@
+// Lets related articles be found from an article's tags and favorites
+// without scanning either table.
+exports.up = async function(knex) {
+  await knex.schema.alterTable("articles_tags", function(table) {
+    table.index(["article", "tag"])
+  })
+
+  await knex.schema.alterTable("favorites", function(table) {
+    table.index(["article", "user"])
+    table.index(["user", "article"])
+  })
+}
+
+exports.down = async function(knex) {
+  await knex.raw("drop index if exists articles_tags_article_tag_index")
+  await knex.raw("drop index if exists favorites_article_user_index")
+  await knex.raw("drop index if exists favorites_user_article_index")
+}
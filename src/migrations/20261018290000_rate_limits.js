@@ -0,0 +1,17 @@
+exports.up = function(knex) {
+  return knex.schema.createTable("rate_limits", function(table) {
+    table
+      .string("key")
+      .primary()
+      .notNullable()
+    table.integer("version").notNullable()
+    table.double("tokens").notNullable()
+    table.bigInteger("refilled_at").notNullable()
+    table.bigInteger("expires_at").notNullable()
+    table.index("expires_at")
+  })
+}
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists("rate_limits")
+}
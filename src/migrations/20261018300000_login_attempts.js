@@ -0,0 +1,41 @@
+exports.up = async function(knex) {
+  await knex.schema.createTable("login_failures", function(table) {
+    table
+      .uuid("id")
+      .unique()
+      .primary()
+      .notNullable()
+    table
+      .string("key")
+      .unique()
+      .notNullable()
+    table
+      .integer("failures")
+      .notNullable()
+      .defaultTo(0)
+    table.string("last_failed_at").notNullable()
+    table.string("locked_until")
+  })
+
+  await knex.schema.createTable("logins", function(table) {
+    table
+      .uuid("id")
+      .unique()
+      .primary()
+      .notNullable()
+    table
+      .uuid("user")
+      .notNullable()
+      .references("users.id")
+      .onDelete("CASCADE")
+    table.string("ip")
+    table.string("user_agent", 1000)
+    table.timestamps(true, true)
+    table.index(["user", "created_at"])
+  })
+}
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists("logins")
+  await knex.schema.dropTableIfExists("login_failures")
+}
@@ -0,0 +1,18 @@
+const { dropColumns } = require("./support/columns")
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable("articles", function(table) {
+    table.timestamp("announced_at")
+    table.index(["announced_at", "publish_at"])
+  })
+
+  // Articles that are live already were announced when they went live.
+  await knex("articles")
+    .update({ announced_at: knex.ref("publish_at") })
+    .whereNot("status", "draft")
+    .where("publish_at", "<=", new Date().toISOString())
+}
+
+exports.down = function(knex) {
+  return dropColumns(knex, "articles", ["announced_at"])
+}
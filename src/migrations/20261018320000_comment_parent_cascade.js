@@ -0,0 +1,62 @@
+// Replies are deleted with the comment they reply to: a reply left without
+// its parent would have a `path` that leads nowhere.
+const constraint =
+  "foreign key(`parent`) references `comments`(`id`) on delete CASCADE"
+
+function isSqlite(knex) {
+  return knex.client.config.client === "sqlite3"
+}
+
+// SQLite can't add or drop the foreign keys of an existing table, so the
+// table is created again with the changed definition and the rows copied
+// over. Dropping the old table drops its indexes, which are created again.
+async function rebuild(knex, change) {
+  const [table] = await knex("sqlite_master")
+    .select("sql")
+    .where({ type: "table", name: "comments" })
+  const indexes = await knex("sqlite_master")
+    .pluck("sql")
+    .where({ type: "index", tbl_name: "comments" })
+    .whereNotNull("sql")
+
+  await knex.raw(
+    change(table.sql).replace(
+      /^CREATE TABLE ["`]?comments["`]?/,
+      "CREATE TABLE `comments_rebuild`",
+    ),
+  )
+  await knex.raw("insert into `comments_rebuild` select * from `comments`")
+  await knex.schema.dropTable("comments")
+  await knex.schema.renameTable("comments_rebuild", "comments")
+
+  for (const sql of indexes) {
+    await knex.raw(sql)
+  }
+}
+
+exports.up = async function(knex) {
+  if (isSqlite(knex)) {
+    await rebuild(knex, sql => sql.replace(/\)$/, `, ${constraint})`))
+    return
+  }
+
+  await knex.schema.alterTable("comments", function(table) {
+    table.dropForeign("parent")
+    table
+      .foreign("parent")
+      .references("comments.id")
+      .onDelete("CASCADE")
+  })
+}
+
+exports.down = async function(knex) {
+  if (isSqlite(knex)) {
+    await rebuild(knex, sql => sql.replace(`, ${constraint}`, ""))
+    return
+  }
+
+  await knex.schema.alterTable("comments", function(table) {
+    table.dropForeign("parent")
+    table.foreign("parent").references("comments.id")
+  })
+}
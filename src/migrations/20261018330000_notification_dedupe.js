@@ -0,0 +1,49 @@
+const { dropColumns } = require("./support/columns")
+
+// Follows and favorites notify once per recipient, actor and target; the
+// unique `dedupe_key` makes sure of it. Comments notify every time and have
+// no key.
+exports.up = async function(knex) {
+  await knex.schema.alterTable("notifications", function(table) {
+    table.string("dedupe_key")
+  })
+
+  await knex("notifications")
+    .update({
+      dedupe_key: knex.raw(
+        "?? || ':' || ?? || ':' || ?? || ':' || coalesce(cast(?? as text), '')",
+        ["type", "user", "actor", "article"],
+      ),
+    })
+    .whereNot("type", "comment")
+
+  // Keep the first of the notifications recorded more than once.
+  await knex("notifications")
+    .del()
+    .whereIn(
+      "id",
+      knex
+        .select("id")
+        .from(
+          knex("notifications")
+            .select(
+              "id",
+              knex.raw(
+                "row_number() over (partition by ?? order by ??, ??) as position",
+                ["dedupe_key", "created_at", "id"],
+              ),
+            )
+            .whereNotNull("dedupe_key")
+            .as("ranked"),
+        )
+        .where("position", ">", 1),
+    )
+
+  await knex.schema.alterTable("notifications", function(table) {
+    table.unique(["dedupe_key"])
+  })
+}
+
+exports.down = function(knex) {
+  return dropColumns(knex, "notifications", ["dedupe_key"])
+}
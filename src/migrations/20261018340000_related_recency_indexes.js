@@ -0,0 +1,16 @@
+// Lets related articles be found from the latest articles of a tag and the
+// latest favorites of a user without sorting all of them.
+exports.up = async function(knex) {
+  await knex.schema.alterTable("articles_tags", function(table) {
+    table.index(["tag", "created_at"])
+  })
+
+  await knex.schema.alterTable("favorites", function(table) {
+    table.index(["user", "created_at"])
+  })
+}
+
+exports.down = async function(knex) {
+  await knex.raw("drop index if exists articles_tags_tag_created_at_index")
+  await knex.raw("drop index if exists favorites_user_created_at_index")
+}
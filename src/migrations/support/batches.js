@@ -0,0 +1,37 @@
+/**
+ * Calls `fn` with the rows of a table in batches of `size`, ordered by id,
+ * so a backfill never holds more than one batch in memory.
+ *
+ * @param {Object} knex - The knex instance of the migration.
+ * @param {string} table - The name of the table.
+ * @param {string[]} columns - The columns to select; `id` is always added.
+ * @param {function} fn - Called with each batch of rows; may be async.
+ * @param {number} [size=100] - The number of rows per batch.
+ */
+async function eachBatch(knex, table, columns, fn, size = 100) {
+  let last = null
+
+  for (;;) {
+    const query = knex(table)
+      .select("id", ...columns)
+      .orderBy("id")
+      .limit(size)
+
+    if (last !== null) {
+      query.where("id", ">", last)
+    }
+
+    const rows = await query
+
+    if (rows.length) {
+      await fn(rows)
+      last = rows[rows.length - 1].id
+    }
+
+    if (rows.length < size) {
+      return
+    }
+  }
+}
+
+exports.eachBatch = eachBatch
@@ -0,0 +1,55 @@
+const search = require("./search")
+
+function isSqlite(knex) {
+  return knex.client.config.client === "sqlite3"
+}
+
+function mentions(sql, column) {
+  return new RegExp(`["\`]${column}["\`]`).test(sql)
+}
+
+/**
+ * Drops columns from a table.
+ *
+ * SQLite can only drop a column by creating the table again, which drops
+ * its indexes and triggers. The indexes that don't cover a dropped column
+ * are created again, and so are the full-text index triggers of `articles`.
+ *
+ * @param {Object} knex - The knex instance of the migration.
+ * @param {string} table - The name of the table.
+ * @param {string[]} columns - The columns to drop.
+ */
+async function dropColumns(knex, table, columns) {
+  const drop = () =>
+    knex.schema.alterTable(table, function(t) {
+      columns.forEach(c => t.dropColumn(c))
+    })
+
+  if (!isSqlite(knex)) {
+    await drop()
+    return
+  }
+
+  const indexes = await knex("sqlite_master")
+    .pluck("sql")
+    .where({ type: "index", tbl_name: table })
+    .whereNotNull("sql")
+  const [{ count: triggers }] = await knex("sqlite_master")
+    .count({ count: "*" })
+    .where({ type: "trigger", tbl_name: table })
+    .whereIn("name", search.names)
+
+  await drop()
+
+  for (const sql of indexes) {
+    if (!columns.some(c => mentions(sql, c))) {
+      await knex.raw(sql)
+    }
+  }
+
+  if (triggers > 0) {
+    await search.createTriggers(knex)
+  }
+}
+
+exports.dropColumns = dropColumns
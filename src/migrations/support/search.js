@@ -0,0 +1,58 @@
+/**
+ * The triggers that keep the SQLite full-text index of articles in step
+ * with the `articles` table. The search migration creates them, and
+ * migrations that rebuild `articles` create them again.
+ */
+
+const triggers = [
+  `
+    create trigger articles_fts_insert after insert on articles begin
+      insert into articles_fts (id, title, description, body)
+      values (new.id, new.title, new.description, new.body);
+    end
+  `,
+  `
+    create trigger articles_fts_update after update of title, description, body on articles begin
+      update articles_fts
+      set title = new.title, description = new.description, body = new.body
+      where id = old.id;
+    end
+  `,
+  `
+    create trigger articles_fts_delete after delete on articles begin
+      delete from articles_fts where id = old.id;
+    end
+  `,
+]
+
+const names = [
+  "articles_fts_insert",
+  "articles_fts_update",
+  "articles_fts_delete",
+]
+
+/**
+ * Creates the full-text index triggers on `articles`.
+ *
+ * @param {Object} knex - The knex instance of the migration.
+ */
+async function createTriggers(knex) {
+  for (const sql of triggers) {
+    await knex.raw(sql)
+  }
+}
+
+/**
+ * Drops the full-text index triggers on `articles`, if they exist.
+ *
+ * @param {Object} knex - The knex instance of the migration.
+ */
+async function dropTriggers(knex) {
+  for (const name of names) {
+    await knex.raw(`drop trigger if exists ${name}`)
+  }
+}
+
+exports.names = names
+exports.createTriggers = createTriggers
+exports.dropTriggers = dropTriggers
@@ -1,26 +1,89 @@
 const Router = require("koa-router")
 const ctrl = require("../controllers").articles
+const reports = require("../controllers").reports
 const router = new Router()
 
 const auth = require("../middleware/auth-required-middleware")
+const { can } = require("../middleware/permission-middleware")
+const rateLimit = require("../middleware/rate-limit-middleware")
 
 router.param("slug", ctrl.bySlug)
 router.param("comment", ctrl.comments.byComment)
+router.param("revision", ctrl.revisions.byRevision)
 
 router.get("/articles", ctrl.get)
 router.post("/articles", auth, ctrl.post)
 
 router.get("/articles/feed", auth, ctrl.feed.get)
+router.get("/articles/trending", ctrl.trending.get)
+router.get("/user/drafts", auth, ctrl.drafts.get)
+router.get("/user/bookmarks", auth, ctrl.bookmarks.get)
 
 router.get("/articles/:slug", ctrl.getOne)
-router.put("/articles/:slug", auth, ctrl.put)
-router.del("/articles/:slug", auth, ctrl.del)
+router.get("/articles/:slug/related", ctrl.related.get)
+router.put("/articles/:slug", auth, can("update", "article"), ctrl.put)
+router.del("/articles/:slug", auth, can("delete", "article"), ctrl.del)
+
+router.get(
+  "/articles/:slug/revisions",
+  auth,
+  can("readRevisions", "article"),
+  ctrl.revisions.get,
+)
+router.get(
+  "/articles/:slug/revisions/:revision",
+  auth,
+  can("readRevisions", "article"),
+  ctrl.revisions.getOne,
+)
+router.post(
+  "/articles/:slug/revisions/:revision/restore",
+  auth,
+  can("restoreRevision", "article"),
+  ctrl.revisions.restore,
+)
+
+router.post("/articles/:slug/report", auth, reports.article.post)
 
 router.post("/articles/:slug/favorite", auth, ctrl.favorite.post)
 router.del("/articles/:slug/favorite", auth, ctrl.favorite.del)
 
+router.post("/articles/:slug/bookmark", auth, ctrl.bookmark.post)
+router.del("/articles/:slug/bookmark", auth, ctrl.bookmark.del)
+
 router.get("/articles/:slug/comments", ctrl.comments.get)
-router.post("/articles/:slug/comments", auth, ctrl.comments.post)
-router.del("/articles/:slug/comments/:comment", auth, ctrl.comments.del)
+router.post(
+  "/articles/:slug/comments",
+  auth,
+  rateLimit("comment"),
+  ctrl.comments.post,
+)
+router.get(
+  "/articles/:slug/comments/:comment/replies",
+  ctrl.comments.replies.get,
+)
+router.put(
+  "/articles/:slug/comments/:comment",
+  auth,
+  can("update", "comment"),
+  ctrl.comments.put,
+)
+router.del(
+  "/articles/:slug/comments/:comment",
+  auth,
+  can("delete", "comment"),
+  ctrl.comments.del,
+)
+router.get(
+  "/articles/:slug/comments/:comment/revisions",
+  auth,
+  can("readRevisions", "comment"),
+  ctrl.comments.revisions.get,
+)
+router.post(
+  "/articles/:slug/comments/:comment/report",
+  auth,
+  reports.comment.post,
+)
 
 module.exports = router.routes()
@@ -0,0 +1,7 @@
+const Router = require("koa-router")
+const ctrl = require("../controllers").feeds
+const router = new Router()
+
+router.get("/feeds/articles.:format", ctrl.articles)
+
+module.exports = router.routes()
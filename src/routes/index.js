@@ -6,11 +6,25 @@ const users = require("./users-router")
 const articles = require("./articles-router")
 const profiles = require("./profiles-router")
 const tags = require("./tags-router")
+const moderation = require("./moderation-router")
+const notifications = require("./notifications-router")
+const stream = require("./stream-router")
+const webhooks = require("./webhooks-router")
+const feeds = require("./feeds-router")
+const lists = require("./lists-router")
+const series = require("./series-router")
 
 api.use(users)
 api.use(articles)
 api.use(profiles)
 api.use(tags)
+api.use(moderation)
+api.use(notifications)
+api.use(stream)
+api.use(webhooks)
+api.use(feeds)
+api.use(lists)
+api.use(series)
 
 router.use("/api", api.routes())
 
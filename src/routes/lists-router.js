@@ -0,0 +1,34 @@
+const Router = require("koa-router")
+const ctrl = require("../controllers").lists
+const router = new Router()
+
+const auth = require("../middleware/auth-required-middleware")
+const { can } = require("../middleware/permission-middleware")
+
+router.param("list", ctrl.byList)
+
+router.get("/user/lists", auth, ctrl.get)
+router.post("/user/lists", auth, ctrl.post)
+router.get("/user/lists/:list", auth, can("read", "list"), ctrl.getOne)
+router.put("/user/lists/:list", auth, can("update", "list"), ctrl.put)
+router.del("/user/lists/:list", auth, can("delete", "list"), ctrl.del)
+router.post(
+  "/user/lists/:list/items",
+  auth,
+  can("update", "list"),
+  ctrl.items.post,
+)
+router.put(
+  "/user/lists/:list/items",
+  auth,
+  can("update", "list"),
+  ctrl.items.put,
+)
+router.del(
+  "/user/lists/:list/items/:slug",
+  auth,
+  can("update", "list"),
+  ctrl.items.del,
+)
+
+module.exports = router.routes()
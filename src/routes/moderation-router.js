@@ -0,0 +1,16 @@
+const Router = require("koa-router")
+const ctrl = require("../controllers").reports
+const router = new Router()
+
+const { requireRole } = require("../middleware/permission-middleware")
+
+const staff = requireRole("moderator", "admin")
+
+router.param("report", ctrl.byReport)
+
+router.get("/moderation/reports", staff, ctrl.get)
+router.post("/moderation/reports/:report/dismiss", staff, ctrl.dismiss)
+router.post("/moderation/reports/:report/hide", staff, ctrl.hide)
+router.post("/moderation/reports/:report/suspend", staff, ctrl.suspend)
+
+module.exports = router.routes()
@@ -0,0 +1,10 @@
+const Router = require("koa-router")
+const ctrl = require("../controllers").notifications
+const router = new Router()
+
+const auth = require("../middleware/auth-required-middleware")
+
+router.get("/notifications", auth, ctrl.get)
+router.post("/notifications/read", auth, ctrl.read.post)
+
+module.exports = router.routes()
@@ -1,13 +1,25 @@
 const Router = require("koa-router")
 const ctrl = require("../controllers").profiles
+const feeds = require("../controllers").feeds
+const lists = require("../controllers").lists
 const router = new Router()
 
 const auth = require("../middleware/auth-required-middleware")
+const { requireRole } = require("../middleware/permission-middleware")
 
 router.param("username", ctrl.byUsername)
+router.param("list", lists.byList)
 
 router.get("/profiles/:username", ctrl.get)
+router.get("/profiles/:username/feed.:format", feeds.profile)
+router.get("/profiles/:username/lists", lists.profile.get)
+router.get("/profiles/:username/lists/:list", lists.profile.getOne)
 router.post("/profiles/:username/follow", auth, ctrl.follow.post)
 router.del("/profiles/:username/follow", auth, ctrl.follow.del)
+router.post("/profiles/:username/block", auth, ctrl.block.post)
+router.del("/profiles/:username/block", auth, ctrl.block.del)
+router.post("/profiles/:username/mute", auth, ctrl.mute.post)
+router.del("/profiles/:username/mute", auth, ctrl.mute.del)
+router.put("/profiles/:username/role", requireRole("admin"), ctrl.role.put)
 
 module.exports = router.routes()
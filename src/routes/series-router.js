@@ -0,0 +1,33 @@
+const Router = require("koa-router")
+const ctrl = require("../controllers").series
+const router = new Router()
+
+const auth = require("../middleware/auth-required-middleware")
+const { can } = require("../middleware/permission-middleware")
+
+router.param("series", ctrl.bySeries)
+
+router.post("/series", auth, ctrl.post)
+router.get("/series/:series", ctrl.getOne)
+router.put("/series/:series", auth, can("update", "series"), ctrl.put)
+router.del("/series/:series", auth, can("delete", "series"), ctrl.del)
+router.post(
+  "/series/:series/articles",
+  auth,
+  can("update", "series"),
+  ctrl.articles.post,
+)
+router.put(
+  "/series/:series/articles",
+  auth,
+  can("update", "series"),
+  ctrl.articles.put,
+)
+router.del(
+  "/series/:series/articles/:slug",
+  auth,
+  can("update", "series"),
+  ctrl.articles.del,
+)
+
+module.exports = router.routes()
@@ -0,0 +1,9 @@
+const Router = require("koa-router")
+const ctrl = require("../controllers").stream
+const router = new Router()
+
+const auth = require("../middleware/auth-required-middleware")
+
+router.get("/stream", auth, ctrl.get)
+
+module.exports = router.routes()
@@ -1,7 +1,25 @@
 const Router = require("koa-router")
 const ctrl = require("../controllers").tags
+const feeds = require("../controllers").feeds
 const router = new Router()
 
+const auth = require("../middleware/auth-required-middleware")
+const { requireRole } = require("../middleware/permission-middleware")
+
+const staff = requireRole("moderator", "admin")
+const admin = requireRole("admin")
+
+router.param("name", ctrl.byName)
+
 router.get("/tags", ctrl.get)
+router.get("/tags/:tag/feed.:format", feeds.tag)
+router.get("/tags/:name", ctrl.getOne)
+router.put("/tags/:name", staff, ctrl.put)
+router.post("/tags/:name/merge", admin, ctrl.merge)
+router.post("/tags/:name/aliases", admin, ctrl.aliases.post)
+router.del("/tags/:name/aliases/:alias", admin, ctrl.aliases.del)
+router.post("/tags/:name/follow", auth, ctrl.follow.post)
+router.del("/tags/:name/follow", auth, ctrl.follow.del)
+router.get("/user/tags", auth, ctrl.following.get)
 
 module.exports = router.routes()
@@ -3,12 +3,16 @@ const ctrl = require("../controllers").users
 const router = new Router()
 
 const auth = require("../middleware/auth-required-middleware")
+const rateLimit = require("../middleware/rate-limit-middleware")
 
-router.post("/users/login", ctrl.login)
-router.post("/users", ctrl.post)
+router.post("/users/login", rateLimit("login"), ctrl.login)
+router.post("/users", rateLimit("signup"), ctrl.post)
+router.post("/users/token/refresh", ctrl.token.refresh)
+router.post("/users/logout", ctrl.logout)
 
 router.get("/user", auth, ctrl.get)
 router.put("/user", auth, ctrl.put)
+router.get("/user/logins", auth, ctrl.logins.get)
 
 
 module.exports = router.routes()
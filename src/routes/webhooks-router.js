@@ -0,0 +1,22 @@
+const Router = require("koa-router")
+const ctrl = require("../controllers").webhooks
+const router = new Router()
+
+const auth = require("../middleware/auth-required-middleware")
+const { can } = require("../middleware/permission-middleware")
+
+router.param("webhook", ctrl.byWebhook)
+
+router.get("/webhooks", auth, ctrl.get)
+router.post("/webhooks", auth, ctrl.post)
+router.get("/webhooks/:webhook", auth, can("read", "webhook"), ctrl.getOne)
+router.put("/webhooks/:webhook", auth, can("update", "webhook"), ctrl.put)
+router.del("/webhooks/:webhook", auth, can("delete", "webhook"), ctrl.del)
+router.get(
+  "/webhooks/:webhook/deliveries",
+  auth,
+  can("read", "webhook"),
+  ctrl.deliveries.get,
+)
+
+module.exports = router.routes()
@@ -1,6 +1,7 @@
 const yup = require("yup")
 const timeStampSchema = require("./time-stamp-schema")
 const isUUID = require("validator/lib/isUUID")
+const isISO8601 = require("validator/lib/isISO8601")
 
 const articleSchema = yup
   .object()
@@ -40,6 +41,26 @@ const articleSchema = yup
       .default(0),
 
     tagList: yup.array().of(yup.string()),
+
+    status: yup
+      .string()
+      .oneOf(["draft", "scheduled", "published"])
+      .default("published"),
+
+    publishAt: yup
+      .string()
+      .nullable()
+      .test({
+        name: "publishAt",
+        message: "${path} must be valid ISO8601 date", // eslint-disable-line
+        test: value => (value ? isISO8601(value) : true),
+      })
+      .transform(function(value) {
+        const date = new Date(value)
+        return this.isType(value) && value !== null && !isNaN(date)
+          ? date.toISOString()
+          : value
+      }),
   })
   .noUnknown()
   .concat(timeStampSchema)
@@ -23,6 +23,15 @@ const commentSchema = yup
       test: value => (value ? isUUID(value) : true),
     }),
 
+    parent: yup
+      .string()
+      .nullable()
+      .test({
+        name: "parent",
+        message: "${path} must be uuid", // eslint-disable-line
+        test: value => (value ? isUUID(value) : true),
+      }),
+
     body: yup
       .string()
       .required()
@@ -2,6 +2,10 @@ const user = require("./user-schema")
 const article = require("./article-schema")
 const comment = require("./comment-schema")
 const tag = require("./tag-schema")
+const report = require("./report-schema")
+const webhook = require("./webhook-schema")
+const readingList = require("./reading-list-schema")
+const series = require("./series-schema")
 
 module.exports = function(app) {
   app.schemas = {
@@ -9,5 +13,9 @@ module.exports = function(app) {
     article,
     comment,
     tag,
+    report,
+    webhook,
+    readingList,
+    series,
   }
 }
@@ -0,0 +1,25 @@
+const yup = require("yup")
+const timeStampSchema = require("./time-stamp-schema")
+const isUUID = require("validator/lib/isUUID")
+
+const readingListSchema = yup
+  .object()
+  .shape({
+    id: yup.string().test({
+      name: "id",
+      message: "${path} must be uuid", // eslint-disable-line
+      test: value => (value ? isUUID(value) : true),
+    }),
+
+    name: yup
+      .string()
+      .required()
+      .max(100)
+      .trim(),
+
+    public: yup.boolean().default(false),
+  })
+  .noUnknown()
+  .concat(timeStampSchema)
+
+module.exports = readingListSchema
@@ -0,0 +1,39 @@
+const yup = require("yup")
+const timeStampSchema = require("./time-stamp-schema")
+const isUUID = require("validator/lib/isUUID")
+
+const reasons = [
+  "spam",
+  "harassment",
+  "hate",
+  "violence",
+  "sexual",
+  "misinformation",
+  "other",
+]
+
+const reportSchema = yup
+  .object()
+  .shape({
+    id: yup.string().test({
+      name: "id",
+      message: "${path} must be uuid", // eslint-disable-line
+      test: value => (value ? isUUID(value) : true),
+    }),
+
+    reason: yup
+      .string()
+      .required()
+      .oneOf(reasons),
+
+    note: yup
+      .string()
+      .max(1000)
+      .default("")
+      .trim(),
+  })
+  .noUnknown()
+  .concat(timeStampSchema)
+
+module.exports = reportSchema
+module.exports.reasons = reasons
@@ -0,0 +1,29 @@
+const yup = require("yup")
+const timeStampSchema = require("./time-stamp-schema")
+const isUUID = require("validator/lib/isUUID")
+
+const seriesSchema = yup
+  .object()
+  .shape({
+    id: yup.string().test({
+      name: "id",
+      message: "${path} must be uuid", // eslint-disable-line
+      test: value => (value ? isUUID(value) : true),
+    }),
+
+    title: yup
+      .string()
+      .required()
+      .max(200)
+      .trim(),
+
+    description: yup
+      .string()
+      .max(1000)
+      .default("")
+      .trim(),
+  })
+  .noUnknown()
+  .concat(timeStampSchema)
+
+module.exports = seriesSchema
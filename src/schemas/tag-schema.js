@@ -16,6 +16,12 @@ const tagSchema = yup
       .required()
       .max(30)
       .trim(),
+
+    description: yup
+      .string()
+      .max(1000)
+      .default("")
+      .trim(),
   })
   .noUnknown()
   .concat(timeStampSchema)
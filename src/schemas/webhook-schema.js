@@ -0,0 +1,58 @@
+const yup = require("yup")
+const timeStampSchema = require("./time-stamp-schema")
+const isUUID = require("validator/lib/isUUID")
+const isURL = require("validator/lib/isURL")
+const { isAllowedUrl } = require("../lib/network")
+
+const events = [
+  "article.created",
+  "article.updated",
+  "article.deleted",
+  "comment.created",
+  "profile.followed",
+]
+
+const webhookSchema = yup
+  .object()
+  .shape({
+    id: yup.string().test({
+      name: "id",
+      message: "${path} must be uuid", // eslint-disable-line
+      test: value => (value ? isUUID(value) : true),
+    }),
+
+    url: yup
+      .string()
+      .required()
+      .trim()
+      .test({
+        name: "url",
+        message: "${path} must be an http or https url", // eslint-disable-line
+        test: value =>
+          value
+            ? isURL(value, {
+                protocols: ["http", "https"],
+                require_protocol: true,
+                require_tld: false,
+              })
+            : true,
+      })
+      .test({
+        name: "host",
+        message: "${path} must not point to a local or private address", // eslint-disable-line
+        test: value => (value ? isAllowedUrl(value) : true),
+      }),
+
+    events: yup
+      .array()
+      .of(yup.string().oneOf(events))
+      .required()
+      .min(1),
+
+    active: yup.boolean().default(true),
+  })
+  .noUnknown()
+  .concat(timeStampSchema)
+
+module.exports = webhookSchema
+module.exports.events = events
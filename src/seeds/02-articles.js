@@ -4,6 +4,7 @@ const uuid = require("uuid")
 const slug = require("slug")
 const { subMonths } = require("date-fns")
 const { getUsers } = require("./01-users")
+const { render, analyze } = require("../lib/markdown")
 
 function getArticles(users) {
   return _.flatMap(users, function(user) {
@@ -13,13 +14,21 @@ function getArticles(users) {
         .between(subMonths(new Date(), 18), new Date())
         .toISOString()
 
+      const body = faker.lorem.sentences(10)
+      const { wordCount, readingTimeMinutes, toc } = analyze(body)
+
       return {
         id: uuid(),
         author: user.id,
         title,
         slug: slug(title, { lower: true }),
-        body: faker.lorem.sentences(10),
+        body,
+        body_html: render(body),
+        word_count: wordCount,
+        reading_time_minutes: readingTimeMinutes,
+        toc: JSON.stringify(toc),
         description: faker.lorem.sentences(2),
+        publish_at: date,
         created_at: date,
         updated_at: date,
       }
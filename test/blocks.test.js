@@ -0,0 +1,89 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const db = require("../src/lib/db")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("blocks and mutes", () => {
+  let blocker
+  let blocked
+  let slug
+
+  beforeAll(async () => {
+    await setup()
+    blocker = await signUp("blocker")
+    blocked = await signUp("blocked")
+
+    const res = await request("POST", "/articles", {
+      token: blocker.token,
+      body: { article: { title: "Mine", description: "d", body: "b" } },
+    })
+    slug = res.body.article.slug
+  })
+
+  afterAll(teardown)
+
+  test("follows once however many race for it", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () =>
+        request("POST", "/profiles/blocker/follow", { token: blocked.token }),
+      ),
+    )
+
+    expect(results.map(res => res.status)).toEqual(Array(10).fill(200))
+
+    const followers = await db("followers")
+      .innerJoin("users", "followers.follower", "users.id")
+      .where("users.username", "blocked")
+    expect(followers).toHaveLength(1)
+  })
+
+  test("keeps blocked users from following, commenting and favoriting", async () => {
+    await request("POST", "/profiles/blocked/block", { token: blocker.token })
+
+    const profile = await request("GET", "/profiles/blocker", {
+      token: blocked.token,
+    })
+    expect(profile.body.profile.following).toBe(false)
+
+    const follow = await request("POST", "/profiles/blocker/follow", {
+      token: blocked.token,
+    })
+    expect(follow.status).toBe(403)
+    expect(follow.body.errors).toEqual({ profile: ["can't be followed"] })
+
+    const comment = await request("POST", `/articles/${slug}/comments`, {
+      token: blocked.token,
+      body: { comment: { body: "Hi" } },
+    })
+    expect(comment.status).toBe(403)
+
+    const favorite = await request("POST", `/articles/${slug}/favorite`, {
+      token: blocked.token,
+    })
+    expect(favorite.status).toBe(403)
+  })
+
+  test("leaves muted authors out of articles and comments", async () => {
+    const muter = await signUp("muter")
+
+    await request("POST", `/articles/${slug}/comments`, {
+      token: blocker.token,
+      body: { comment: { body: "By the author" } },
+    })
+    await request("POST", "/profiles/blocker/mute", { token: muter.token })
+
+    const articles = await request("GET", "/articles", { token: muter.token })
+    expect(articles.body.articles.map(a => a.slug)).not.toContain(slug)
+
+    const comments = await request("GET", `/articles/${slug}/comments`, {
+      token: muter.token,
+    })
+    expect(comments.body.comments).toEqual([])
+
+    const anonymous = await request("GET", `/articles/${slug}/comments`)
+    expect(anonymous.body.comments).toHaveLength(1)
+  })
+})
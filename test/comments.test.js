@@ -0,0 +1,191 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const db = require("../src/lib/db")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("comment threads", () => {
+  let author
+  let muted
+  let slug
+
+  beforeAll(async () => {
+    await setup()
+    author = await signUp("threader")
+    muted = await signUp("muted")
+
+    const res = await request("POST", "/articles", {
+      token: author.token,
+      body: { article: { title: "Threads", description: "d", body: "b" } },
+    })
+    slug = res.body.article.slug
+  })
+
+  afterAll(teardown)
+
+  const comment = async (user, body, parentId) => {
+    const res = await request("POST", `/articles/${slug}/comments`, {
+      token: user.token,
+      body: { comment: { body, parentId } },
+    })
+    return res.body.comment
+  }
+
+  test("keeps replies to hidden comments under a placeholder", async () => {
+    const top = await comment(author, "Top")
+    const reply = await comment(muted, "Reply", top.id)
+    await comment(author, "Answer", reply.id)
+    await comment(muted, "Aside", top.id)
+
+    await request("POST", "/profiles/muted/mute", { token: author.token })
+
+    const res = await request("GET", `/articles/${slug}/comments?tree=true`, {
+      token: author.token,
+    })
+
+    const [thread] = res.body.comments
+    expect(thread.body).toBe("Top")
+    expect(thread.replies).toHaveLength(1)
+    expect(thread.replies[0]).toMatchObject({
+      id: reply.id,
+      body: "[hidden]",
+      hidden: true,
+      author: null,
+    })
+    expect(thread.replies[0].replies.map(c => c.body)).toEqual(["Answer"])
+  })
+
+  test("keeps a deleted comment with replies as a placeholder until its last reply goes", async () => {
+    const top = await comment(author, "Doomed")
+    const reply = await comment(muted, "Survivor", top.id)
+
+    await request("DELETE", `/articles/${slug}/comments/${top.id}`, {
+      token: author.token,
+    })
+
+    const res = await request("GET", `/articles/${slug}/comments?tree=true`)
+    const thread = res.body.comments.find(c => c.id === top.id)
+
+    expect(thread).toMatchObject({ body: "[deleted]", deleted: true })
+    expect(thread.replies.map(c => c.body)).toEqual(["Survivor"])
+
+    await request("DELETE", `/articles/${slug}/comments/${reply.id}`, {
+      token: muted.token,
+    })
+
+    expect(
+      await db("comments")
+        .pluck("id")
+        .whereIn("id", [top.id, reply.id]),
+    ).toEqual([])
+  })
+
+  test("deletes the comments, replies and revisions of a deleted article", async () => {
+    const res = await request("POST", "/articles", {
+      token: author.token,
+      body: { article: { title: "Short-lived", description: "d", body: "b" } },
+    })
+    const other = res.body.article.slug
+
+    const top = await request("POST", `/articles/${other}/comments`, {
+      token: author.token,
+      body: { comment: { body: "Top" } },
+    })
+    const reply = await request("POST", `/articles/${other}/comments`, {
+      token: muted.token,
+      body: { comment: { body: "Reply", parentId: top.body.comment.id } },
+    })
+    await request(
+      "PUT",
+      `/articles/${other}/comments/${reply.body.comment.id}`,
+      {
+        token: muted.token,
+        body: { comment: { body: "Edited reply" } },
+      },
+    )
+
+    const ids = [top.body.comment.id, reply.body.comment.id]
+
+    expect(await db("comment_revisions").whereIn("comment", ids)).toHaveLength(
+      1,
+    )
+
+    const deleted = await request("DELETE", `/articles/${other}`, {
+      token: author.token,
+    })
+
+    expect(deleted.status).toBe(200)
+    expect(await db("comments").whereIn("id", ids)).toEqual([])
+    expect(await db("comment_revisions").whereIn("comment", ids)).toEqual([])
+  })
+
+  describe("editing", () => {
+    let moderator
+
+    beforeAll(async () => {
+      moderator = await signUp("editor-moderator")
+
+      await db("users")
+        .update({ role: "moderator" })
+        .where({ username: "editor-moderator" })
+    })
+
+    const edit = (user, id, body) =>
+      request("PUT", `/articles/${slug}/comments/${id}`, {
+        token: user.token,
+        body: { comment: { body } },
+      })
+
+    const revisions = (user, id) =>
+      request("GET", `/articles/${slug}/comments/${id}/revisions`, {
+        token: user.token,
+      })
+
+    test("keeps the previous versions, newest first", async () => {
+      const original = await comment(author, "Frist")
+
+      expect(original.edited).toBe(false)
+
+      const first = await edit(author, original.id, "First")
+
+      expect(first.status).toBe(200)
+      expect(first.body.comment).toMatchObject({
+        body: "First",
+        edited: true,
+      })
+      expect(first.body.comment.updatedAt).not.toBe(original.updatedAt)
+
+      await edit(author, original.id, "First!")
+      await edit(author, original.id, "First!")
+
+      const res = await revisions(author, original.id)
+
+      expect(res.status).toBe(200)
+      expect(res.body.revisions.map(r => r.body)).toEqual(["First", "Frist"])
+    })
+
+    test("lets only the author edit and only the author and staff read the history", async () => {
+      const original = await comment(author, "Mine")
+
+      expect((await edit(muted, original.id, "Yours")).status).toBe(403)
+      expect((await revisions(muted, original.id)).status).toBe(403)
+
+      await edit(moderator, original.id, "Moderated")
+
+      const res = await revisions(moderator, original.id)
+
+      expect(res.status).toBe(200)
+      expect(res.body.revisions.map(r => r.body)).toEqual(["Mine"])
+    })
+
+    test("validates the new body like a new comment", async () => {
+      const original = await comment(author, "Valid")
+      const res = await edit(author, original.id, "")
+
+      expect(res.status).toBe(422)
+      expect(res.body.errors.body).toBeDefined()
+    })
+  })
+})
@@ -0,0 +1,63 @@
+const { diffLines } = require("../src/lib/diff")
+
+// Rebuilds both texts from a diff.
+function apply(diff) {
+  return {
+    from: diff.filter(d => d.op !== "added").map(d => d.line),
+    to: diff.filter(d => d.op !== "removed").map(d => d.line),
+  }
+}
+
+describe("diffLines", () => {
+  test("marks the lines that changed", () => {
+    expect(diffLines("a\nb\nc\nd", "a\nc\nx\nd")).toEqual([
+      { op: "equal", line: "a" },
+      { op: "removed", line: "b" },
+      { op: "equal", line: "c" },
+      { op: "added", line: "x" },
+      { op: "equal", line: "d" },
+    ])
+  })
+
+  test("finds a shortest diff", () => {
+    const from = "a\nb\nc\na\nb\nb\na"
+    const to = "c\nb\na\nb\na\nc"
+    const diff = diffLines(from, to)
+
+    expect(apply(diff)).toEqual({ from: from.split("\n"), to: to.split("\n") })
+    expect(diff.filter(d => d.op !== "equal")).toHaveLength(5)
+  })
+
+  test("handles empty texts", () => {
+    expect(diffLines("", "a")).toEqual([
+      { op: "removed", line: "" },
+      { op: "added", line: "a" },
+    ])
+    expect(diffLines("a", "a")).toEqual([{ op: "equal", line: "a" }])
+  })
+
+  test("shows large rewrites as removed and added without diffing them", () => {
+    const from = Array.from({ length: 200000 }, (_, i) => `${i % 7}`)
+    const to = Array.from({ length: 200000 }, (_, i) => `${i % 5}`)
+    const started = Date.now()
+    const diff = diffLines(from.join("\n"), to.join("\n"), 1000)
+
+    expect(Date.now() - started).toBeLessThan(5000)
+    expect(apply(diff)).toEqual({ from, to })
+  })
+
+  test("diffs large texts with few changes line by line", () => {
+    const from = Array.from({ length: 200000 }, (_, i) => `line ${i}`)
+    const to = from.slice()
+    to.splice(1000, 1, "changed")
+    to.splice(150000, 0, "inserted")
+
+    const diff = diffLines(from.join("\n"), to.join("\n"), 1000)
+
+    expect(diff.filter(d => d.op !== "equal")).toEqual([
+      { op: "removed", line: "line 1000" },
+      { op: "added", line: "changed" },
+      { op: "added", line: "inserted" },
+    ])
+  })
+})
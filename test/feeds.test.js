@@ -0,0 +1,73 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("feeds", () => {
+  let author
+
+  beforeAll(async () => {
+    await setup()
+    author = await signUp("author")
+
+    for (const title of ["First", "Second", "Third"]) {
+      await request("POST", "/articles", {
+        token: author.token,
+        body: {
+          article: {
+            title,
+            description: `About ${title} & more`,
+            body: `# ${title}\n\nSome *text*.`,
+            tagList: ["node"],
+          },
+        },
+      })
+    }
+  })
+
+  afterAll(teardown)
+
+  test("includes the rendered body of each Atom entry", async () => {
+    const res = await request("GET", "/feeds/articles.atom")
+
+    expect(res.status).toBe(200)
+    expect(res.headers["content-type"]).toMatch(/^application\/atom\+xml/)
+
+    const contents = res.body.match(/<content type="html">[^<]*<\/content>/g)
+
+    expect(contents).toHaveLength(3)
+    expect(contents[0]).toContain("&lt;h1")
+    expect(contents[0]).toContain("Third")
+    expect(contents[0]).toContain("&lt;em&gt;text&lt;/em&gt;")
+  })
+
+  test("lists the newest articles in RSS, escaped and limited", async () => {
+    const res = await request("GET", "/tags/node/feed.rss?limit=2")
+
+    expect(res.status).toBe(200)
+    expect(res.headers["content-type"]).toMatch(/^application\/rss\+xml/)
+    expect(res.body.match(/<item>/g)).toHaveLength(2)
+    expect(res.body).toContain("<title>Third</title>")
+    expect(res.body).toContain("<title>Second</title>")
+    expect(res.body).not.toContain("<title>First</title>")
+    expect(res.body).toContain("About Third &amp; more")
+  })
+
+  test("answers 304 when the feed did not change", async () => {
+    const first = await request("GET", "/profiles/author/feed.atom")
+
+    expect(first.status).toBe(200)
+
+    const second = await request("GET", "/profiles/author/feed.atom", {
+      headers: { "If-None-Match": first.headers.etag },
+    })
+
+    expect(second.status).toBe(304)
+  })
+
+  test("answers 404 for unknown formats and tags", async () => {
+    expect((await request("GET", "/feeds/articles.json")).status).toBe(404)
+    expect((await request("GET", "/tags/nope/feed.rss")).status).toBe(404)
+  })
+})
@@ -0,0 +1,136 @@
+const fs = require("fs")
+const http = require("http")
+const _ = require("lodash")
+
+// Every Jest worker gets a database of its own.
+const filename = `data/test-${process.env.JEST_WORKER_ID || 0}.sqlite3`
+
+let configured = false
+let db = null
+let server = null
+
+/**
+ * Sets the configuration of the test file, on top of `config/test.yml`.
+ * Call it before requiring anything from `src`.
+ *
+ * @param {Object} [overrides] - Configuration to merge in.
+ */
+function configure(overrides = {}) {
+  process.env.NODE_CONFIG = JSON.stringify(
+    _.merge({ db: { connection: { filename } } }, overrides),
+  )
+  configured = true
+
+  require("../src/lib/bootstrap")
+}
+
+/**
+ * Creates an empty database with every migration applied and starts the app
+ * on a free port.
+ */
+async function setup() {
+  if (!configured) {
+    configure()
+  }
+
+  db = require("../src/lib/db")
+  const app = require("../src/lib/app")
+
+  try {
+    fs.unlinkSync(filename)
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err
+    }
+  }
+
+  await db.migrate.latest()
+
+  server = http.createServer(app.callback())
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve))
+}
+
+async function teardown() {
+  await new Promise(resolve => server.close(resolve))
+  await db.destroy()
+}
+
+/**
+ * Sends a request to the app.
+ *
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path under `/api`.
+ * @param {Object} [options]
+ * @param {Object} [options.body] - The JSON body.
+ * @param {string} [options.token] - The access token to send.
+ * @param {Object} [options.headers] - More headers.
+ * @returns {Promise<Object>} - The `status`, `headers` and parsed `body`.
+ */
+function request(method, path, { body, token, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port: server.address().port,
+        method,
+        path: `/api${path}`,
+        headers: Object.assign(
+          { "content-type": "application/json" },
+          token ? { authorization: `Token ${token}` } : {},
+          headers,
+        ),
+      },
+      res => {
+        let data = ""
+
+        res.setEncoding("utf8")
+        res.on("data", chunk => {
+          data += chunk
+        })
+        res.on("end", () => {
+          let parsed = data
+
+          try {
+            parsed = JSON.parse(data)
+          } catch (err) {}
+
+          resolve({
+            status: res.statusCode,
+            headers: res.headers,
+            body: parsed,
+          })
+        })
+      },
+    )
+
+    req.on("error", reject)
+
+    if (body) {
+      req.write(JSON.stringify(body))
+    }
+
+    req.end()
+  })
+}
+
+/**
+ * Signs up a user.
+ *
+ * @param {string} username - The username; the email is derived from it.
+ * @returns {Promise<Object>} - The user, with `token`.
+ */
+async function signUp(username) {
+  const res = await request("POST", "/users", {
+    body: {
+      user: {
+        email: `${username}@example.com`,
+        username,
+        password: "password1",
+      },
+    },
+  })
+
+  return res.body.user
+}
+
+module.exports = { configure, setup, teardown, request, signUp }
@@ -0,0 +1,107 @@
+const helpers = require("./helpers")
+
+helpers.configure({
+  login: {
+    delayMs: 300,
+    maxDelayMs: 300,
+    lockoutMs: 60000,
+    account: { freeAttempts: 3, maxAttempts: 5 },
+    ip: { freeAttempts: 50, maxAttempts: 100 },
+  },
+})
+
+const { setup, teardown, request, signUp } = helpers
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+function login(email, password, ip) {
+  return request("POST", "/users/login", {
+    body: { user: { email, password } },
+    headers: { "x-forwarded-for": ip, "user-agent": "jest" },
+  })
+}
+
+async function failUntilLocked(email, ip) {
+  for (let i = 0; i < 5; i++) {
+    await sleep(350)
+    expect((await login(email, "wrong", ip)).status).toBe(401)
+  }
+}
+
+describe("login attempts", () => {
+  beforeAll(async () => {
+    await setup()
+    await Promise.all(["alice", "bob", "carol"].map(signUp))
+  })
+
+  afterAll(teardown)
+
+  test("counts parallel guesses before comparing passwords", async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 30 }, () =>
+        login("alice@example.com", "wrong", "10.0.0.1"),
+      ),
+    )
+    const statuses = responses.map(r => r.status)
+
+    expect(statuses.filter(s => s === 401).length).toBeLessThanOrEqual(3)
+    expect(statuses.filter(s => s === 429).length).toBeGreaterThanOrEqual(27)
+  })
+
+  test("delays and then locks out an account the same way whether or not it exists", async () => {
+    const run = async (email, ip) => {
+      const statuses = []
+
+      for (let i = 0; i < 4; i++) {
+        statuses.push((await login(email, "wrong", ip)).status)
+      }
+
+      await sleep(350)
+      statuses.push((await login(email, "wrong", ip)).status)
+      await sleep(350)
+      statuses.push((await login(email, "wrong", ip)).status)
+
+      const locked = await login(email, "password1", ip)
+
+      return { statuses, locked: [locked.status, locked.body] }
+    }
+
+    const known = await run("bob@example.com", "10.0.1.1")
+    const unknown = await run("nobody@example.com", "10.0.1.2")
+
+    expect(known.statuses).toEqual([401, 401, 401, 429, 401, 401])
+    expect(known.locked[0]).toBe(429)
+    expect(unknown).toEqual(known)
+  })
+
+  test("lets a user log in from an address they logged in from before while their account is locked", async () => {
+    expect(
+      (await login("carol@example.com", "password1", "10.0.2.1")).status,
+    ).toBe(200)
+
+    await failUntilLocked("carol@example.com", "10.0.2.2")
+
+    expect(
+      (await login("carol@example.com", "password1", "10.0.2.3")).status,
+    ).toBe(429)
+    expect(
+      (await login("carol@example.com", "password1", "10.0.2.1")).status,
+    ).toBe(200)
+  })
+
+  test("lists the logins of the user", async () => {
+    const res = await login("carol@example.com", "password1", "10.0.2.1")
+    const logins = await request("GET", "/user/logins?limit=2", {
+      token: res.body.user.token,
+    })
+
+    expect(logins.status).toBe(200)
+    expect(logins.body.logins).toHaveLength(2)
+    expect(logins.body.logins[0]).toMatchObject({
+      ip: "10.0.2.1",
+      userAgent: "jest",
+    })
+    expect(logins.body.nextCursor).toBeTruthy()
+    expect((await request("GET", "/user/logins")).status).toBe(401)
+  })
+})
@@ -0,0 +1,151 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const db = require("../src/lib/db")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("moderation", () => {
+  let author
+  let commenter
+  let moderator
+
+  beforeAll(async () => {
+    await setup()
+    author = await signUp("writer")
+    commenter = await signUp("heckler")
+    moderator = await signUp("moderator")
+
+    await db("users")
+      .update({ role: "moderator" })
+      .where({ username: "moderator" })
+  })
+
+  afterAll(teardown)
+
+  test("drops notifications about hidden comments", async () => {
+    const article = await request("POST", "/articles", {
+      token: author.token,
+      body: { article: { title: "Calm", description: "d", body: "b" } },
+    })
+    const { slug } = article.body.article
+
+    const comment = await request("POST", `/articles/${slug}/comments`, {
+      token: commenter.token,
+      body: { comment: { body: "Something rude" } },
+    })
+    const { id } = comment.body.comment
+
+    const before = await request("GET", "/notifications", {
+      token: author.token,
+    })
+    expect(before.body.unreadCount).toBe(1)
+
+    const report = await request(
+      "POST",
+      `/articles/${slug}/comments/${id}/report`,
+      { token: author.token, body: { report: { reason: "harassment" } } },
+    )
+    await request("POST", `/moderation/reports/${report.body.report.id}/hide`, {
+      token: moderator.token,
+    })
+
+    const after = await request("GET", "/notifications", {
+      token: author.token,
+    })
+    expect(after.body.notifications).toEqual([])
+    expect(after.body.unreadCount).toBe(0)
+  })
+
+  test("refuses unknown report statuses", async () => {
+    const res = await request("GET", "/moderation/reports?status=bogus", {
+      token: moderator.token,
+    })
+
+    expect(res.status).toBe(422)
+    expect(res.body.errors).toEqual({ status: ["is invalid"] })
+  })
+
+  describe("suspending", () => {
+    let slug
+
+    const report = async () => {
+      const res = await request("POST", `/articles/${slug}/report`, {
+        token: commenter.token,
+        body: { report: { reason: "spam" } },
+      })
+
+      return res.body.report.id
+    }
+
+    const suspend = (id, body) =>
+      request("POST", `/moderation/reports/${id}/suspend`, {
+        token: moderator.token,
+        body,
+      })
+
+    beforeAll(async () => {
+      const res = await request("POST", "/articles", {
+        token: author.token,
+        body: { article: { title: "Spammy", description: "d", body: "b" } },
+      })
+      slug = res.body.article.slug
+    })
+
+    test.each([0, -3, 1.5, "7", null])(
+      "refuses to suspend for %j days",
+      async days => {
+        const res = await suspend(await report(), { days })
+
+        expect(res.status).toBe(422)
+        expect(res.body.errors).toEqual({
+          days: ["must be a positive integer"],
+        })
+      },
+    )
+
+    test("refuses when the reported content no longer exists", async () => {
+      const id = await report()
+
+      await db("articles")
+        .where({ slug })
+        .del()
+
+      const res = await suspend(id, { days: 3 })
+
+      expect(res.status).toBe(422)
+      expect(res.body.errors).toEqual({ article: ["no longer exists"] })
+    })
+
+    test("suspends the author for the given number of days", async () => {
+      const spammer = await signUp("spammer")
+      const article = await request("POST", "/articles", {
+        token: spammer.token,
+        body: { article: { title: "Buy now", description: "d", body: "b" } },
+      })
+      const reported = await request(
+        "POST",
+        `/articles/${article.body.article.slug}/report`,
+        { token: author.token, body: { report: { reason: "spam" } } },
+      )
+
+      const res = await request(
+        "POST",
+        `/moderation/reports/${reported.body.report.id}/suspend`,
+        { token: moderator.token, body: { days: 2 } },
+      )
+
+      expect(res.status).toBe(200)
+      expect(res.body.report.status).toBe("suspended")
+
+      const { suspended_until } = await db("users")
+        .first("suspended_until")
+        .where({ username: "spammer" })
+      const days = (new Date(suspended_until) - Date.now()) / 86400000
+
+      expect(days).toBeGreaterThan(1.99)
+      expect(days).toBeLessThanOrEqual(2)
+    })
+  })
+})
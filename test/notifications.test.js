@@ -0,0 +1,61 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const db = require("../src/lib/db")
+const { notify, types } = require("../src/lib/notifications")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("notifications", () => {
+  let recipient
+
+  beforeAll(async () => {
+    await setup()
+    recipient = await signUp("recipient")
+    await signUp("actor")
+  })
+
+  afterAll(teardown)
+
+  const idOf = username =>
+    db("users")
+      .first("id")
+      .where({ username })
+      .then(user => user.id)
+
+  const list = () =>
+    request("GET", "/notifications", { token: recipient.token }).then(
+      res => res.body,
+    )
+
+  test("records a follow once however many race for it", async () => {
+    const follow = {
+      user: await idOf("recipient"),
+      actor: await idOf("actor"),
+      type: types.follow,
+    }
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => notify(follow)),
+    )
+
+    expect(results.filter(Boolean)).toHaveLength(1)
+    expect((await list()).notifications).toHaveLength(1)
+  })
+
+  test("leaves out actors the recipient muted", async () => {
+    await request("POST", "/profiles/actor/mute", { token: recipient.token })
+
+    const body = await list()
+    expect(body.notifications).toEqual([])
+    expect(body.unreadCount).toBe(0)
+
+    const recorded = await notify({
+      user: await idOf("recipient"),
+      actor: await idOf("actor"),
+      type: types.favorite,
+    })
+    expect(recorded).toBeNull()
+  })
+})
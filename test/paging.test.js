@@ -0,0 +1,164 @@
+const helpers = require("./helpers")
+
+helpers.configure({ pager: { maxLimit: 4 }, related: { maxLimit: 2 } })
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("paging", () => {
+  let author
+  const titles = []
+
+  beforeAll(async () => {
+    await setup()
+    author = await signUp("pager")
+
+    for (let i = 0; i < 6; i++) {
+      const res = await request("POST", "/articles", {
+        token: author.token,
+        body: {
+          article: {
+            title: `Page ${i}`,
+            description: "d",
+            body: "b",
+            tagList: ["one", "two", "three"],
+          },
+        },
+      })
+      titles.unshift(res.body.article.title)
+    }
+  })
+
+  afterAll(teardown)
+
+  test("counts articles rather than tag rows", async () => {
+    const res = await request("GET", "/articles?limit=2")
+
+    expect(res.status).toBe(200)
+    expect(res.body.articles.map(a => a.title)).toEqual(titles.slice(0, 2))
+    res.body.articles.forEach(a => {
+      expect(a.tagList.sort()).toEqual(["one", "three", "two"])
+    })
+    expect(res.body.articlesCount).toBe(6)
+  })
+
+  test("keeps limit at pager.maxLimit at most", async () => {
+    const res = await request("GET", "/articles?limit=1000")
+
+    expect(res.status).toBe(200)
+    expect(res.body.articles).toHaveLength(4)
+  })
+
+  test("keeps the related articles limit at related.maxLimit", async () => {
+    const slug = (await request("GET", "/articles?limit=1")).body.articles[0]
+      .slug
+    const res = await request("GET", `/articles/${slug}/related?limit=50`)
+
+    expect(res.status).toBe(200)
+    expect(res.body.articles).toHaveLength(2)
+  })
+
+  test.each([
+    ["limit=-1", { limit: ["can't be negative"] }],
+    ["offset=-5", { offset: ["can't be negative"] }],
+    ["page=0", { page: ["must be positive"] }],
+  ])("refuses %s", async (query, errors) => {
+    const res = await request("GET", `/articles?${query}`)
+
+    expect(res.status).toBe(422)
+    expect(res.body.errors).toEqual(errors)
+  })
+
+  describe("cursors", () => {
+    const titlesOf = res => res.body.articles.map(a => a.title)
+
+    test("walk to older articles with after and back with before", async () => {
+      const first = await request("GET", "/articles?limit=2")
+
+      expect(titlesOf(first)).toEqual(titles.slice(0, 2))
+      expect(first.body.prevCursor).toBeNull()
+
+      const second = await request(
+        "GET",
+        `/articles?limit=2&after=${encodeURIComponent(first.body.nextCursor)}`,
+      )
+
+      expect(titlesOf(second)).toEqual(titles.slice(2, 4))
+
+      const third = await request(
+        "GET",
+        `/articles?limit=2&after=${encodeURIComponent(second.body.nextCursor)}`,
+      )
+
+      expect(titlesOf(third)).toEqual(titles.slice(4, 6))
+      expect(third.body.nextCursor).toBeNull()
+
+      const back = await request(
+        "GET",
+        `/articles?limit=2&before=${encodeURIComponent(third.body.prevCursor)}`,
+      )
+
+      expect(titlesOf(back)).toEqual(titles.slice(2, 4))
+
+      const start = await request(
+        "GET",
+        `/articles?limit=2&before=${encodeURIComponent(back.body.prevCursor)}`,
+      )
+
+      expect(titlesOf(start)).toEqual(titles.slice(0, 2))
+      expect(start.body.prevCursor).toBeNull()
+      expect(start.body.nextCursor).not.toBeNull()
+    })
+
+    test("don't repeat feed articles published between page loads", async () => {
+      const reader = await signUp("reader")
+
+      await request("POST", "/profiles/pager/follow", { token: reader.token })
+
+      const first = await request("GET", "/articles/feed?limit=3", {
+        token: reader.token,
+      })
+
+      await request("POST", "/articles", {
+        token: author.token,
+        body: {
+          article: { title: "Breaking", description: "d", body: "b" },
+        },
+      })
+
+      const second = await request(
+        "GET",
+        `/articles/feed?limit=3&after=${encodeURIComponent(
+          first.body.nextCursor,
+        )}`,
+        { token: reader.token },
+      )
+
+      expect(titlesOf(first)).toEqual(titles.slice(0, 3))
+      expect(titlesOf(second)).toEqual(titles.slice(3, 6))
+
+      const back = await request(
+        "GET",
+        `/articles/feed?limit=3&before=${encodeURIComponent(
+          second.body.prevCursor,
+        )}`,
+        { token: reader.token },
+      )
+
+      expect(titlesOf(back)).toEqual(titles.slice(0, 3))
+      expect(back.body.prevCursor).not.toBeNull()
+
+      const fresh = await request("GET", "/articles/feed?limit=3", {
+        token: reader.token,
+      })
+
+      expect(titlesOf(fresh)).toEqual(["Breaking", ...titles.slice(0, 2)])
+    })
+
+    test("refuses malformed cursors", async () => {
+      const res = await request("GET", "/articles?after=nonsense")
+
+      expect(res.status).toBe(422)
+      expect(res.body.errors).toEqual({ after: ["is invalid"] })
+    })
+  })
+})
@@ -0,0 +1,73 @@
+const helpers = require("./helpers")
+
+helpers.configure({ auth: { adminEmails: ["admin@example.com"] } })
+
+const db = require("../src/lib/db")
+const { grantAdmins } = require("../src/lib/permissions")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("permissions", () => {
+  let admin
+  let member
+
+  beforeAll(async () => {
+    await setup()
+    admin = await signUp("admin")
+    member = await signUp("member")
+  })
+
+  afterAll(teardown)
+
+  const setRole = (user, body) =>
+    request("PUT", "/profiles/member/role", { token: user.token, body })
+
+  test("makes admins of the users listed in auth.adminEmails", async () => {
+    expect(await grantAdmins()).toBe(1)
+    expect(await grantAdmins()).toBe(0)
+
+    const roles = await db("users")
+      .select("username", "role")
+      .orderBy("username")
+
+    expect(roles).toEqual([
+      { username: "admin", role: "admin" },
+      { username: "member", role: "user" },
+    ])
+  })
+
+  test("tells users without the role why they are refused", async () => {
+    const res = await setRole(member, { profile: { role: "admin" } })
+
+    expect(res.status).toBe(403)
+    expect(res.body.errors).toEqual({ role: ["must be admin"] })
+  })
+
+  test("reads the role from the profile", async () => {
+    const res = await setRole(admin, { profile: { role: "moderator" } })
+
+    expect(res.status).toBe(200)
+    expect(res.body.profile.role).toBe("moderator")
+  })
+
+  test.each([{ user: { role: "moderator" } }, { role: "moderator" }])(
+    "refuses the role in %j",
+    async body => {
+      const res = await setRole(admin, body)
+
+      expect(res.status).toBe(422)
+      expect(res.body.errors).toEqual({ role: ["is invalid"] })
+    },
+  )
+
+  test("refuses suspended users", async () => {
+    await db("users")
+      .update({ suspended_until: new Date(Date.now() + 60000).toISOString() })
+      .where({ username: "admin" })
+
+    const res = await setRole(admin, { profile: { role: "user" } })
+
+    expect(res.status).toBe(403)
+    expect(res.body.errors).toEqual({ account: ["is suspended"] })
+  })
+})
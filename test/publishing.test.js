@@ -0,0 +1,107 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const stream = require("../src/lib/stream")
+const webhooks = require("../src/lib/webhooks")
+const publishing = require("../src/lib/publishing")
+
+const { setup, teardown, request, signUp } = helpers
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe("publishing", () => {
+  let user
+
+  beforeAll(async () => {
+    await setup()
+    user = await signUp("scheduler")
+  })
+
+  afterAll(teardown)
+
+  beforeEach(() => {
+    jest.spyOn(stream, "articlePublished")
+    jest.spyOn(webhooks, "trigger")
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  const write = (article, slug) =>
+    request(slug ? "PUT" : "POST", slug ? `/articles/${slug}` : "/articles", {
+      token: user.token,
+      body: {
+        article: Object.assign(
+          { title: "Soon", description: "Soon", body: "Soon" },
+          article,
+        ),
+      },
+    })
+
+  const inMs = ms => new Date(Date.now() + ms).toISOString()
+
+  const createdEvents = () =>
+    webhooks.trigger.mock.calls.filter(([event]) => event === "article.created")
+
+  test("refuses to schedule an article in the past", async () => {
+    const res = await write({ status: "scheduled", publishAt: inMs(-60000) })
+
+    expect(res.status).toBe(422)
+    expect(res.body.errors.publishAt).toEqual([
+      "must be in the future for scheduled articles",
+    ])
+  })
+
+  test("refuses to publish an article in the future", async () => {
+    const res = await write({ status: "published", publishAt: inMs(60000) })
+
+    expect(res.status).toBe(422)
+    expect(res.body.errors.publishAt).toEqual([
+      "can't be in the future for published articles",
+    ])
+  })
+
+  test("announces a scheduled article once it goes live", async () => {
+    const res = await write({ status: "scheduled", publishAt: inMs(500) })
+
+    expect(res.status).toBe(200)
+    expect(res.body.article.status).toBe("scheduled")
+
+    await publishing.announceDue()
+    expect(createdEvents()).toHaveLength(0)
+
+    await sleep(600)
+    await publishing.announceDue()
+    await publishing.announceDue()
+
+    expect(stream.articlePublished).toHaveBeenCalledTimes(1)
+    expect(createdEvents()).toHaveLength(1)
+    expect(createdEvents()[0][1].article).toMatchObject({
+      slug: res.body.article.slug,
+      author: { username: "scheduler" },
+    })
+
+    const update = await write({ body: "Now" }, res.body.article.slug)
+
+    expect(update.status).toBe(200)
+    expect(update.body.article.status).toBe("published")
+    expect(stream.articlePublished).toHaveBeenCalledTimes(1)
+    expect(webhooks.trigger).toHaveBeenLastCalledWith(
+      "article.updated",
+      expect.anything(),
+      expect.anything(),
+    )
+  })
+
+  test("announces an article published right away once", async () => {
+    const res = await write({ title: "Now" })
+
+    expect(res.status).toBe(200)
+    expect(stream.articlePublished).toHaveBeenCalledTimes(1)
+
+    await publishing.announceDue()
+
+    expect(stream.articlePublished).toHaveBeenCalledTimes(1)
+    expect(createdEvents()).toHaveLength(1)
+  })
+})
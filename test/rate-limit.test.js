@@ -0,0 +1,75 @@
+const helpers = require("./helpers")
+
+helpers.configure({
+  rateLimit: {
+    enabled: true,
+    policies: {
+      default: { capacity: 5, windowMs: 60000 },
+      login: { capacity: 10, windowMs: 60000 },
+    },
+  },
+})
+
+const rateLimit = require("../src/lib/rate-limit")
+
+const { setup, teardown, request } = helpers
+
+function takeInParallel(count, client) {
+  return Promise.all(
+    Array.from({ length: count }, () => rateLimit.take("login", client)),
+  )
+}
+
+describe("rate limiting", () => {
+  beforeAll(setup)
+  afterAll(teardown)
+
+  test("the memory store lets no more parallel requests through than fit in the bucket", async () => {
+    rateLimit.setStore(rateLimit.stores.memory())
+
+    const results = await takeInParallel(200, "ip:1")
+
+    expect(results.filter(r => r.allowed)).toHaveLength(10)
+    results
+      .filter(r => !r.allowed)
+      .forEach(r => expect(r.retryMs).toBeGreaterThan(0))
+  })
+
+  test("the database store lets no more parallel requests through than fit in the bucket", async () => {
+    rateLimit.setStore(rateLimit.stores.database())
+
+    const results = await takeInParallel(50, "ip:2")
+    const allowed = results.filter(r => r.allowed).length
+
+    expect(allowed).toBeGreaterThan(0)
+    expect(allowed).toBeLessThanOrEqual(10)
+
+    const later = await takeInParallel(20, "ip:2")
+
+    expect(later.filter(r => r.allowed).length).toBeLessThanOrEqual(
+      10 - allowed,
+    )
+  })
+
+  test("refuses requests over the limit with 429 and rate limit headers", async () => {
+    rateLimit.setStore(rateLimit.stores.memory())
+
+    const get = () =>
+      request("GET", "/tags", { headers: { "x-forwarded-for": "10.0.0.1" } })
+
+    for (let i = 0; i < 5; i++) {
+      const res = await get()
+
+      expect(res.status).toBe(200)
+      expect(res.headers["ratelimit-limit"]).toBe("5")
+      expect(res.headers["ratelimit-remaining"]).toBe(String(4 - i))
+    }
+
+    const res = await get()
+
+    expect(res.status).toBe(429)
+    expect(res.headers["ratelimit-remaining"]).toBe("0")
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0)
+    expect(res.body.errors.requests).toBeDefined()
+  })
+})
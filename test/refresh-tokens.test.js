@@ -0,0 +1,81 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("refresh tokens", () => {
+  beforeAll(setup)
+  afterAll(teardown)
+
+  const refresh = refreshToken =>
+    request("POST", "/users/token/refresh", { body: { refreshToken } })
+
+  test("rotates the refresh token on every use", async () => {
+    const user = await signUp("rotator")
+
+    const first = await refresh(user.refreshToken)
+
+    expect(first.status).toBe(200)
+    expect(first.body.user.username).toBe("rotator")
+    expect(first.body.user.token).toEqual(expect.any(String))
+    expect(first.body.user.refreshToken).not.toBe(user.refreshToken)
+
+    const second = await refresh(first.body.user.refreshToken)
+
+    expect(second.status).toBe(200)
+    expect(second.body.user.refreshToken).not.toBe(first.body.user.refreshToken)
+
+    const me = await request("GET", "/user", {
+      token: second.body.user.token,
+    })
+
+    expect(me.status).toBe(200)
+  })
+
+  test("revokes the whole family when a rotated token is reused", async () => {
+    const user = await signUp("victim")
+
+    const rotated = await refresh(user.refreshToken)
+    const latest = rotated.body.user.refreshToken
+
+    const reused = await refresh(user.refreshToken)
+
+    expect(reused.status).toBe(401)
+    expect(reused.body.errors).toEqual({ refreshToken: ["is invalid"] })
+
+    expect((await refresh(latest)).status).toBe(401)
+  })
+
+  test("leaves other families alone when one is revoked", async () => {
+    const user = await signUp("traveller")
+    const login = await request("POST", "/users/login", {
+      body: {
+        user: { email: "traveller@example.com", password: "password1" },
+      },
+    })
+
+    const stolen = await refresh(user.refreshToken)
+    await refresh(user.refreshToken)
+
+    expect((await refresh(stolen.body.user.refreshToken)).status).toBe(401)
+    expect((await refresh(login.body.user.refreshToken)).status).toBe(200)
+  })
+
+  test("revokes the family on logout", async () => {
+    const user = await signUp("leaver")
+    const rotated = await refresh(user.refreshToken)
+
+    const res = await request("POST", "/users/logout", {
+      body: { refreshToken: rotated.body.user.refreshToken },
+    })
+
+    expect(res.status).toBe(200)
+    expect((await refresh(rotated.body.user.refreshToken)).status).toBe(401)
+  })
+
+  test("refuses unknown and malformed tokens", async () => {
+    expect((await refresh("nope")).status).toBe(401)
+    expect((await refresh(42)).status).toBe(422)
+  })
+})
@@ -0,0 +1,101 @@
+const helpers = require("./helpers")
+
+helpers.configure({ related: { limit: 3 } })
+
+const db = require("../src/lib/db")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("related articles", () => {
+  let author
+  let other
+  let silenced
+  let reader
+  let slug
+
+  beforeAll(async () => {
+    await setup()
+    author = await signUp("relauthor")
+    other = await signUp("relother")
+    silenced = await signUp("relsilenced")
+    reader = await signUp("relreader")
+
+    slug = (await publish(author, "Base", ["x", "y"])).slug
+
+    await publish(other, "Two tags", ["x", "y"])
+    await publish(other, "One tag", ["y"])
+    await publish(author, "Same author", [])
+    await publish(other, "Unrelated", ["z"])
+    await publish(other, "Draft", ["x", "y"], { status: "draft" })
+    await publish(silenced, "Silenced", ["x", "y"])
+
+    const hidden = await publish(other, "Hidden", ["x", "y"])
+    await db("articles")
+      .update({ hidden_at: new Date().toISOString() })
+      .where({ slug: hidden.slug })
+
+    const cofavorite = await publish(other, "Co-favorite", [])
+    for (const s of [slug, cofavorite.slug]) {
+      await request("POST", `/articles/${s}/favorite`, { token: reader.token })
+    }
+
+    await request("POST", "/profiles/relsilenced/mute", {
+      token: reader.token,
+    })
+  })
+
+  afterAll(teardown)
+
+  async function publish(user, title, tagList, fields = {}) {
+    const res = await request("POST", "/articles", {
+      token: user.token,
+      body: {
+        article: Object.assign(
+          { title, description: "d", body: "b", tagList },
+          fields,
+        ),
+      },
+    })
+    return res.body.article
+  }
+
+  const related = (query = "", token) =>
+    request("GET", `/articles/${slug}/related${query}`, { token })
+
+  test("ranks by shared tags, same author and co-favorites", async () => {
+    const res = await related("?limit=10", reader.token)
+
+    expect(res.status).toBe(200)
+    expect(res.body.articles.map(a => a.title)).toEqual([
+      "Two tags",
+      "One tag",
+      "Same author",
+      "Co-favorite",
+    ])
+    expect(res.body.articlesCount).toBe(4)
+  })
+
+  test("leaves out muted authors only for the reader who muted them", async () => {
+    const res = await related("?limit=10")
+    const titles = res.body.articles.map(a => a.title)
+
+    expect(titles).toContain("Silenced")
+    expect(titles).not.toContain("Base")
+    expect(titles).not.toContain("Draft")
+    expect(titles).not.toContain("Hidden")
+    expect(titles).not.toContain("Unrelated")
+  })
+
+  test("returns related.limit articles by default", async () => {
+    const res = await related("", reader.token)
+
+    expect(res.body.articles).toHaveLength(3)
+
+    const limited = await related("?limit=2", reader.token)
+
+    expect(limited.body.articles.map(a => a.title)).toEqual([
+      "Two tags",
+      "One tag",
+    ])
+  })
+})
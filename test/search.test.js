@@ -0,0 +1,40 @@
+const { setup, teardown, request, signUp } = require("./helpers")
+
+describe("article search", () => {
+  let author
+
+  beforeAll(async () => {
+    await setup()
+    author = await signUp("author")
+
+    await request("POST", "/articles", {
+      token: author.token,
+      body: {
+        article: {
+          title: "Dangerous markup",
+          description: "An <b>article</b> about payloads",
+          body:
+            'payload <img src=x onerror=alert(1)> and <script>alert("x")</script> payload',
+          tagList: [],
+        },
+      },
+    })
+  })
+
+  afterAll(teardown)
+
+  test("escapes the text of snippets and highlights the matches", async () => {
+    const res = await request("GET", "/articles?q=payload")
+
+    expect(res.status).toBe(200)
+    expect(res.body.articles).toHaveLength(1)
+
+    const { snippet } = res.body.articles[0]
+
+    expect(snippet).not.toMatch(/<img|<script|<b>/)
+    expect(snippet).toContain("&lt;img src=x onerror=alert(1)&gt;")
+    expect(snippet).toContain("&lt;script&gt;")
+    expect(snippet).toContain("<mark>payload</mark>")
+    expect(snippet.replace(/<\/?mark>/g, "")).not.toMatch(/[<>]/)
+  })
+})
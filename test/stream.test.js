@@ -0,0 +1,77 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const jwt = require("jsonwebtoken")
+const config = require("config")
+const db = require("../src/lib/db")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("live updates stream", () => {
+  let listener
+  let moderator
+
+  beforeAll(async () => {
+    await setup()
+    listener = await signUp("listener")
+    moderator = await signUp("streammod")
+
+    await db("users")
+      .update({ role: "moderator" })
+      .where({ username: "streammod" })
+  })
+
+  afterAll(teardown)
+
+  const waitForSubscriber = () =>
+    new Promise(resolve => setTimeout(resolve, 200))
+
+  test("ends when the access token expires", async () => {
+    const { id } = await db("users")
+      .first("id")
+      .where({ username: "listener" })
+    const token = jwt.sign({ sub: { id } }, config.get("secret"), {
+      expiresIn: 1,
+    })
+
+    const started = Date.now()
+    const res = await request("GET", "/stream", { token })
+
+    expect(res.status).toBe(200)
+    expect(res.body).toMatch(/^retry: \d+/)
+    expect(Date.now() - started).toBeLessThan(2500)
+  })
+
+  test("ends when the user is suspended", async () => {
+    const article = await request("POST", "/articles", {
+      token: listener.token,
+      body: { article: { title: "Loud", description: "d", body: "b" } },
+    })
+    const report = await request(
+      "POST",
+      `/articles/${article.body.article.slug}/report`,
+      { token: moderator.token, body: { report: { reason: "spam" } } },
+    )
+
+    const stream = request("GET", "/stream", { token: listener.token })
+
+    await waitForSubscriber()
+
+    const suspended = await request(
+      "POST",
+      `/moderation/reports/${report.body.report.id}/suspend`,
+      { token: moderator.token, body: { days: 1 } },
+    )
+
+    expect(suspended.status).toBe(200)
+
+    const res = await stream
+
+    expect(res.status).toBe(200)
+
+    const again = await request("GET", "/stream", { token: listener.token })
+
+    expect(again.status).toBe(403)
+  })
+})
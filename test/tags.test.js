@@ -0,0 +1,136 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const db = require("../src/lib/db")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("tag management", () => {
+  let admin
+  let author
+
+  beforeAll(async () => {
+    await setup()
+    admin = await signUp("tagadmin")
+    author = await signUp("tagger")
+
+    await db("users")
+      .update({ role: "admin" })
+      .where({ username: "tagadmin" })
+  })
+
+  afterAll(teardown)
+
+  const publish = async (title, tagList) => {
+    const res = await request("POST", "/articles", {
+      token: author.token,
+      body: { article: { title, description: "d", body: "b", tagList } },
+    })
+    return res.body.article
+  }
+
+  const titlesTagged = async tag => {
+    const res = await request("GET", `/articles?tag=${encodeURIComponent(tag)}`)
+    return res.body.articles.map(a => a.title).sort()
+  }
+
+  test("normalises tag names on write", async () => {
+    const article = await publish("Normal", [" JavaScript", "#Web  Dev"])
+
+    expect(article.tagList.sort()).toEqual(["javascript", "web-dev"])
+    expect(await titlesTagged("JAVASCRIPT")).toEqual(["Normal"])
+  })
+
+  test("merges tags and keeps the merged names as aliases", async () => {
+    await publish("Both", ["js", "javascript"])
+    await publish("Short", ["js"])
+
+    const res = await request("POST", "/tags/javascript/merge", {
+      token: admin.token,
+      body: { tags: ["JS"] },
+    })
+
+    expect(res.status).toBe(200)
+    expect(res.body.tag).toMatchObject({
+      name: "javascript",
+      aliases: ["js"],
+      articlesCount: 3,
+    })
+
+    const both = await db("articles_tags")
+      .count({ count: "*" })
+      .innerJoin("articles", "articles_tags.article", "articles.id")
+      .where("articles.title", "Both")
+
+    expect(Number(both[0].count)).toBe(1)
+    expect(await titlesTagged("js")).toEqual(["Both", "Normal", "Short"])
+
+    const page = await request("GET", "/tags/js")
+
+    expect(page.status).toBe(200)
+    expect(page.body.tag.name).toBe("javascript")
+
+    const { tags } = (await request("GET", "/tags")).body
+
+    expect(tags).toContain("javascript")
+    expect(tags).not.toContain("js")
+  })
+
+  test("tags new articles through aliases", async () => {
+    const res = await request("POST", "/tags/javascript/aliases", {
+      token: admin.token,
+      body: { alias: "ECMAScript" },
+    })
+
+    expect(res.status).toBe(200)
+    expect(res.body.tag.aliases).toEqual(["ecmascript", "js"])
+
+    const article = await publish("Aliased", ["EcmaScript"])
+
+    expect(article.tagList).toEqual(["javascript"])
+    expect(await titlesTagged("ecmascript")).toContain("Aliased")
+
+    const taken = await request("POST", "/tags/web-dev/aliases", {
+      token: admin.token,
+      body: { alias: "js" },
+    })
+
+    expect(taken.status).toBe(422)
+    expect(taken.body.errors).toEqual({ alias: ["has already been taken"] })
+
+    const removed = await request(
+      "DELETE",
+      "/tags/javascript/aliases/ecmascript",
+      { token: admin.token },
+    )
+
+    expect(removed.body.tag.aliases).toEqual(["js"])
+  })
+
+  test("leaves merging and aliases to admins", async () => {
+    const merge = await request("POST", "/tags/javascript/merge", {
+      token: author.token,
+      body: { tags: ["web-dev"] },
+    })
+    const alias = await request("POST", "/tags/javascript/aliases", {
+      token: author.token,
+      body: { alias: "node" },
+    })
+
+    expect(merge.status).toBe(403)
+    expect(alias.status).toBe(403)
+  })
+
+  test("refuses to merge a tag into itself or a missing tag", async () => {
+    for (const names of [["javascript"], ["nope"]]) {
+      const res = await request("POST", "/tags/javascript/merge", {
+        token: admin.token,
+        body: { tags: names },
+      })
+
+      expect(res.status).toBe(422)
+      expect(res.body.errors).toEqual({ tags: ["must be other existing tags"] })
+    }
+  })
+})
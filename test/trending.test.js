@@ -0,0 +1,80 @@
+const helpers = require("./helpers")
+
+helpers.configure()
+
+const db = require("../src/lib/db")
+const trending = require("../src/lib/trending")
+
+const { setup, teardown, request, signUp } = helpers
+
+describe("trending", () => {
+  let author
+  let reader
+  let article
+
+  beforeAll(async () => {
+    await setup()
+    author = await signUp("popular")
+    reader = await signUp("reader")
+
+    const res = await request("POST", "/articles", {
+      token: author.token,
+      body: {
+        article: {
+          title: "Viral",
+          description: "d",
+          body: "b",
+          tagList: ["memes"],
+        },
+      },
+    })
+    article = res.body.article
+  })
+
+  afterAll(teardown)
+
+  const countViews = async () => {
+    const [row] = await db("article_activity")
+      .sum("views as views")
+      .innerJoin("articles", "article_activity.article", "articles.id")
+      .where("articles.slug", article.slug)
+
+    return Number(row.views)
+  }
+
+  test("counts a view once per reader and hour", async () => {
+    const read = token => request("GET", `/articles/${article.slug}`, { token })
+
+    for (let i = 0; i < 5; i++) {
+      await read()
+      await read(reader.token)
+      await read(author.token)
+    }
+
+    expect(await countViews()).toBe(0)
+
+    await trending.flushViews()
+
+    expect(await countViews()).toBe(2)
+  })
+
+  test("ranks the articles of one tag and refuses several", async () => {
+    await request("POST", `/articles/${article.slug}/favorite`, {
+      token: reader.token,
+    })
+
+    const memes = await request("GET", "/articles/trending?tag=memes")
+
+    expect(memes.status).toBe(200)
+    expect(memes.body.articles.map(a => a.slug)).toEqual([article.slug])
+
+    const other = await request("GET", "/articles/trending?tag=news")
+
+    expect(other.body.articles).toEqual([])
+
+    const both = await request("GET", "/articles/trending?tag=memes&tag=news")
+
+    expect(both.status).toBe(422)
+    expect(both.body.errors).toEqual({ tag: ["must be a single tag"] })
+  })
+})
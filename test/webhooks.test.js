@@ -0,0 +1,119 @@
+const http = require("http")
+const helpers = require("./helpers")
+
+helpers.configure({ network: { allowedHosts: ["localhost"] } })
+
+const network = require("../src/lib/network")
+const db = require("../src/lib/db")
+
+const { setup, teardown, request, signUp } = helpers
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe("webhooks", () => {
+  let user
+  let receiver
+  let received = []
+
+  beforeAll(async () => {
+    await setup()
+    user = await signUp("hooked")
+
+    receiver = http.createServer((req, res) => {
+      received.push(req.url)
+      res.end()
+    })
+    await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve))
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve))
+    await teardown()
+  })
+
+  const register = url =>
+    request("POST", "/webhooks", {
+      token: user.token,
+      body: { webhook: { url, events: ["article.created"] } },
+    })
+
+  async function waitForAttempt(webhook) {
+    for (let i = 0; i < 50; i++) {
+      const delivery = await db("webhook_deliveries")
+        .first()
+        .where({ webhook })
+
+      if (delivery && delivery.attempts > 0) {
+        return delivery
+      }
+
+      await sleep(50)
+    }
+
+    throw new Error("The delivery was not attempted")
+  }
+
+  test.each([
+    "http://127.0.0.1:8080/hook",
+    "http://0.0.0.0:8080/hook",
+    "http://[::1]/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://10.0.0.1/hook",
+    "http://172.16.5.4/hook",
+    "http://192.168.1.1/hook",
+    "http://[fd00::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+  ])("refuses to register %s", async url => {
+    const res = await register(url)
+
+    expect(res.status).toBe(422)
+    expect(res.body.errors.url).toEqual([
+      "url must not point to a local or private address",
+    ])
+  })
+
+  test("refuses host names that resolve to denied addresses", done => {
+    network.lookup("2130706433", {}, err => {
+      expect(err.code).toBe("EADDRNOTALLOWED")
+      done()
+    })
+  })
+
+  test("delivers to allowed hosts but not to denied addresses", async () => {
+    const { port } = receiver.address()
+    const allowed = await register(`http://localhost:${port}/allowed`)
+
+    expect(allowed.status).toBe(200)
+
+    // A webhook stored before addresses were checked.
+    const deniedId = "00000000-0000-4000-8000-000000000001"
+    await db("webhooks").insert({
+      id: deniedId,
+      owner: (
+        await db("users")
+          .first("id")
+          .where({ username: "hooked" })
+      ).id,
+      url: `http://127.0.0.1:${port}/denied`,
+      events: JSON.stringify(["article.created"]),
+      secret: "secret",
+      active: true,
+    })
+
+    await request("POST", "/articles", {
+      token: user.token,
+      body: {
+        article: { title: "Hook", description: "d", body: "b", tagList: [] },
+      },
+    })
+
+    const delivered = await waitForAttempt(allowed.body.webhook.id)
+    const denied = await waitForAttempt(deniedId)
+
+    expect(delivered.status).toBe("succeeded")
+    expect(denied.status).toBe("pending")
+    expect(denied.response_status).toBeNull()
+    expect(denied.error).toMatch(/not an allowed address/)
+    expect(received).toEqual(["/allowed"])
+  })
+})